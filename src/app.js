@@ -25,6 +25,10 @@ import commentRouter from "./routes/comment.routes.js"
 import likeRouter from "./routes/like.routes.js"
 import playlistRouter from "./routes/playlist.routes.js"
 import dashboardRouter from "./routes/dashboard.routes.js"
+import blockRouter from "./routes/block.routes.js"
+import searchRouter from "./routes/search.routes.js"
+import mediaRouter from "./routes/media.routes.js"
+import { MEDIA_MOUNT_PATH } from "./storage/localDisk.storage.js"
 
 //routes declaration
 app.use("/api/v1/healthcheck", healthcheckRouter)
@@ -36,6 +40,13 @@ app.use("/api/v1/comments", commentRouter)
 app.use("/api/v1/likes", likeRouter)
 app.use("/api/v1/playlist", playlistRouter)
 app.use("/api/v1/dashboard", dashboardRouter)
+app.use("/api/v1/blocks", blockRouter)
+app.use("/api/v1/search", searchRouter)
+app.use(MEDIA_MOUNT_PATH, mediaRouter) // files of the local disk storage provider
+
+// error handler (must be registered after the routes)
+import { errorHandler } from "./middlewares/error.middleware.js"
+app.use(errorHandler)
 
 // http://localhost:8000/api/v1/users/register
 
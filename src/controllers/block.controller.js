@@ -0,0 +1,116 @@
+import mongoose, { isValidObjectId } from "mongoose"
+import { Block } from "../models/block.models.js"
+import { User } from "../models/user.models.js"
+import { Subscription } from "../models/subscription.models.js"
+import { ApiError } from "../utils/ApiError.js"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+
+const blockUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "Invalid user ID");
+    }
+
+    if (userId === req.user._id.toString()) {
+        throw new ApiError(400, "You cannot block yourself");
+    }
+
+    const userExists = await User.exists({ _id: userId });
+    if (!userExists) {
+        throw new ApiError(404, "User not found");
+    }
+
+    const block = await Block.findOneAndUpdate(
+        { blocker: req.user._id, blocked: userId },
+        { $setOnInsert: { blocker: req.user._id, blocked: userId } },
+        { upsert: true, new: true }
+    );
+
+    // A blocked user stops being subscribed to the blocker's channel
+    await Subscription.deleteOne({ subscriber: userId, channel: req.user._id });
+
+    return res.status(201).json(
+        new ApiResponse(201, { isBlocked: true, block }, "User blocked successfully")
+    );
+});
+
+const unblockUser = asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "Invalid user ID");
+    }
+
+    const deletedBlock = await Block.findOneAndDelete({
+        blocker: req.user._id,
+        blocked: userId
+    });
+
+    if (!deletedBlock) {
+        throw new ApiError(404, "This user is not blocked");
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, { isBlocked: false }, "User unblocked successfully")
+    );
+});
+
+const getBlockedUsers = asyncHandler(async (req, res) => {
+    const blockedUsers = await Block.aggregate([
+        {
+            $match: {
+                blocker: new mongoose.Types.ObjectId(req.user._id)
+            }
+        },
+        {
+            $sort: { createdAt: -1 }
+        },
+        {
+            $lookup: {
+                from: "users",
+                localField: "blocked",
+                foreignField: "_id",
+                as: "blockedUser",
+                pipeline: [
+                    {
+                        $project: {
+                            _id: 1,
+                            username: 1,
+                            fullName: 1,
+                            avatar: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                blockedUser: { $first: "$blockedUser" }
+            }
+        },
+        {
+            $match: {
+                blockedUser: { $ne: null } // Skip users that have since been deleted
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                blockedAt: "$createdAt",
+                user: "$blockedUser"
+            }
+        }
+    ]);
+
+    return res.status(200).json(
+        new ApiResponse(200, blockedUsers, "Blocked users fetched successfully")
+    );
+});
+
+export {
+    blockUser,
+    unblockUser,
+    getBlockedUsers
+}
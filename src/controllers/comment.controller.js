@@ -3,6 +3,9 @@ import { Comment } from "../models/comment.model.js"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
+import { Video } from "../models/video.models.js"
+import { manageableContentFilter } from "../policies/ownership.policy.js"
+import { assertNotBlockedBy, getBlockedUserIds } from "../policies/block.policy.js"
 
 // Helper function (optional, consider if needed elsewhere)
 const getCommentWithDetails = async (commentId) => {
@@ -81,11 +84,16 @@ const getVideoComments = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Invalid page or limit parameters");
     }
 
+    // Comments from users the viewer has blocked are hidden from them
+    const blockedUserIds = await getBlockedUserIds(req.user?._id);
+    const commentFilter = {
+        video: new mongoose.Types.ObjectId(videoId),
+        ...(blockedUserIds.length && { owner: { $nin: blockedUserIds } })
+    };
+
     const pipeline = [
         {
-            $match: {
-                video: new mongoose.Types.ObjectId(videoId)
-            }
+            $match: commentFilter
         },
         {
             $lookup: {
@@ -151,7 +159,7 @@ const getVideoComments = asyncHandler(async (req, res) => {
     const comments = await Comment.aggregate(pipeline);
 
     // Optionally, get total count for pagination metadata
-    const totalComments = await Comment.countDocuments({ video: videoId });
+    const totalComments = await Comment.countDocuments(commentFilter);
 
     return res.status(200).json(
         new ApiResponse(
@@ -178,6 +186,13 @@ const addComment = asyncHandler(async (req, res) => {
         throw new ApiError(401, "Unauthorized request");
     }
 
+    const video = await Video.findById(videoId).select("owner");
+    if (!video) {
+        throw new ApiError(404, "Video not found");
+    }
+
+    await assertNotBlockedBy(video.owner, req.user._id, "You cannot comment on this user's videos");
+
     const comment = await Comment.create({
         content: content.trim(),
         video: videoId,
@@ -252,7 +267,7 @@ const updateComment = asyncHandler(async (req, res) => {
     const comment = await Comment.findOneAndUpdate(
         {
             _id: new mongoose.Types.ObjectId(commentId),
-            owner: req.user._id // Ensure only the owner can update
+            ...manageableContentFilter(req.user) // Only the owner (or a moderator) can update
         },
         {
             $set: {
@@ -285,7 +300,7 @@ const deleteComment = asyncHandler(async (req, res) => {
 
     const comment = await Comment.findOneAndDelete({
         _id: new mongoose.Types.ObjectId(commentId),
-        owner: req.user._id // Ensure only the owner can delete
+        ...manageableContentFilter(req.user) // Only the owner (or a moderator) can delete
     });
 
     if (!comment) {
@@ -1,9 +1,3 @@
-import mongoose from "mongoose"
-import { Video } from "../models/video.model.js"
-import { Subscription } from "../models/subscription.model.js"
-import { Like } from "../models/like.model.js"
-import { ApiError } from "../utils/ApiError.js"
-import { ApiResponse } from "../utils/ApiResponse.js"
 import mongoose, { isValidObjectId } from "mongoose"
 import { Video } from "../models/video.model.js"
 import { Subscription } from "../models/subscription.model.js"
@@ -11,6 +5,7 @@ import { Like } from "../models/like.model.js"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
+import { withSignedMediaUrls } from "../services/videoMedia.service.js"
 
 const getChannelStats = asyncHandler(async (req, res) => {
     if (!req.user?._id) {
@@ -67,7 +62,7 @@ const getChannelStats = asyncHandler(async (req, res) => {
                 description: 1,
                 duration: 1,
                 views: 1,
-                isPublished: 1,
+                visibility: 1,
                 createdAt: 1,
                 likesCount: 1
                 // Exclude the 'likes' array unless needed
@@ -144,26 +139,11 @@ const getChannelVideos = asyncHandler(async (req, res) => {
         },
         {
             $addFields: {
-                likesCount: { $size: "$likes" }
-            }
-        },
-        {
-            $project: {
-                likes: 0
-            }
-        },
-        {
-            $sort: {
-                createdAt: -1
-            }
-        },
-        {
-            $project: {
-                _id: 0, // Exclude the default _id field
-                totalVideos: 1,
-                totalViews: 1,
-                totalLikes: 1,
-                totalSubscribers: 1
+                likesCount: { $size: "$likes" },
+                // The visibility, or "scheduled" while waiting for publishAt
+                status: {
+                    $cond: [{ $gt: ["$publishAt", null] }, "scheduled", "$visibility"]
+                }
             }
         },
         {
@@ -175,9 +155,14 @@ const getChannelVideos = asyncHandler(async (req, res) => {
                 description: 1,
                 duration: 1,
                 views: 1,
-                isPublished: 1,
+                visibility: 1,
+                publishAt: 1,
+                scheduledVisibility: 1,
+                status: 1,
                 createdAt: 1,
-                likesCount: 1
+                likesCount: 1,
+                videoFileAsset: 1, // for signed URLs, not returned
+                thumbnailAsset: 1
                 // Exclude the 'likes' array unless needed
             }
         },
@@ -195,26 +180,12 @@ const getChannelVideos = asyncHandler(async (req, res) => {
     ]);
 
     // Get total count for pagination metadata
-    const totalVideos = await Video.countDocuments({ owner: req.user._id });;
-
-    // Handle the case where the user might not have any videos yet
-    const channelStats = stats[0] || {
-        totalVideos: 0,
-        totalViews: 0,
-        totalLikes: 0,
-        totalSubscribers: 0 // Need to fetch subscriber count separately if no videos exist
-    };
-
-    // If no videos, fetch subscriber count separately
-    if (stats.length === 0) {
-        const subscriberCount = await Subscription.countDocuments({ channel: req.user._id });
-        channelStats.totalSubscribers = subscriberCount;
-    }
+    const totalVideos = await Video.countDocuments({ owner: req.user._id });
 
     return res.status(200).json(
         new ApiResponse(
             200,
-            { videos, totalVideos, page: pageNumber, limit: limitNumber, totalPages: Math.ceil(totalVideos / limitNumber) },
+            { videos: await Promise.all(videos.map(withSignedMediaUrls)), totalVideos, page: pageNumber, limit: limitNumber, totalPages: Math.ceil(totalVideos / limitNumber) },
             "Channel videos fetched successfully"
         )
     );
@@ -1,5 +1,12 @@
 import mongoose, { isValidObjectId } from "mongoose"
 import { Like } from "../models/like.model.js"
+import { Video } from "../models/video.models.js"
+import { Comment } from "../models/comment.models.js"
+import { Tweet } from "../models/tweet.models.js"
+import { User } from "../models/user.models.js"
+import { assertNotBlockedBy } from "../policies/block.policy.js"
+import { getVisibleVideoFilter } from "../policies/videoVisibility.policy.js"
+import { withSignedMediaUrls } from "../services/videoMedia.service.js"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
@@ -29,6 +36,14 @@ const toggleVideoLike = asyncHandler(async (req, res) => {
         );
     }
 
+    // Unliking stays possible, but a blocked user cannot add new likes
+    const video = await Video.findById(videoId).select("owner");
+    if (!video) {
+        throw new ApiError(404, "Video not found");
+    }
+
+    await assertNotBlockedBy(video.owner, req.user._id);
+
     const like = await Like.create({
         video: videoId,
         likedBy: req.user._id
@@ -68,6 +83,13 @@ const toggleCommentLike = asyncHandler(async (req, res) => {
         );
     }
 
+    const comment = await Comment.findById(commentId).select("owner");
+    if (!comment) {
+        throw new ApiError(404, "Comment not found");
+    }
+
+    await assertNotBlockedBy(comment.owner, req.user._id);
+
     const like = await Like.create({
         comment: commentId,
         likedBy: req.user._id
@@ -107,6 +129,13 @@ const toggleTweetLike = asyncHandler(async (req, res) => {
         );
     }
 
+    const tweet = await Tweet.findById(tweetId).select("owner");
+    if (!tweet) {
+        throw new ApiError(404, "Tweet not found");
+    }
+
+    await assertNotBlockedBy(tweet.owner, req.user._id);
+
     const like = await Like.create({
         tweet: tweetId,
         likedBy: req.user._id
@@ -126,10 +155,30 @@ const getLikedVideos = asyncHandler(async (req, res) => {
         throw new ApiError(401, "Unauthorized request");
     }
 
+    // Defaults to the logged-in user's likes; other users' lists honor their privacy settings
+    const userId = req.params.userId || req.user._id.toString();
+    if (!isValidObjectId(userId)) {
+        throw new ApiError(400, "Invalid user ID");
+    }
+
+    if (userId !== req.user._id.toString()) {
+        const user = await User.findById(userId).select("privacy");
+        if (!user) {
+            throw new ApiError(404, "User not found");
+        }
+        if (user.privacy?.hideLikedVideos) {
+            throw new ApiError(403, "This user's liked videos are private");
+        }
+    }
+
+    // Only videos the viewer may see; unlisted ones only show up in the user's own list
+    const isOwnList = userId === req.user._id.toString();
+    const visibleVideoFilter = await getVisibleVideoFilter(req.user, { includeUnlisted: isOwnList, includeOwn: true });
+
     const likedVideosPipeline = [
         {
             $match: {
-                likedBy: new mongoose.Types.ObjectId(req.user._id),
+                likedBy: new mongoose.Types.ObjectId(userId),
                 video: { $exists: true, $ne: null } // Ensure video field exists and is not null
             }
         },
@@ -140,6 +189,9 @@ const getLikedVideos = asyncHandler(async (req, res) => {
                 foreignField: "_id",
                 as: "videoDetails",
                 pipeline: [
+                    {
+                        $match: visibleVideoFilter
+                    },
                     {
                         $lookup: {
                             from: "users",
@@ -169,6 +221,9 @@ const getLikedVideos = asyncHandler(async (req, res) => {
                             title: 1,
                             duration: 1,
                             views: 1,
+                            visibility: 1,
+                            videoFileAsset: 1, // for signed URLs, not returned
+                            thumbnailAsset: 1,
                             createdAt: 1,
                             ownerDetails: 1
                         }
@@ -183,7 +238,7 @@ const getLikedVideos = asyncHandler(async (req, res) => {
         },
         {
             $match: {
-                videoDetails: { $ne: null } // Filter out likes where the video might have been deleted
+                videoDetails: { $ne: null } // Filter out likes where the video was deleted or is hidden from the viewer
             }
         },
         {
@@ -197,7 +252,7 @@ const getLikedVideos = asyncHandler(async (req, res) => {
     const likedVideos = await Like.aggregate(likedVideosPipeline);
 
     return res.status(200).json(
-        new ApiResponse(200, likedVideos, "Liked videos fetched successfully")
+        new ApiResponse(200, await Promise.all(likedVideos.map(withSignedMediaUrls)), "Liked videos fetched successfully")
     );
 });
 
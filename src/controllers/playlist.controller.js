@@ -4,6 +4,8 @@ import { Video } from "../models/video.model.js" // Import Video model for valid
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
+import { getVisibleVideoFilter } from "../policies/videoVisibility.policy.js"
+import { withSignedMediaUrls } from "../services/videoMedia.service.js"
 
 const createPlaylist = asyncHandler(async (req, res) => {
     const { name, description } = req.body;
@@ -95,6 +97,10 @@ const getPlaylistById = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Invalid playlist ID");
     }
 
+    // Unlisted videos can be shared through playlists; private and subscribers-only ones
+    // only show up for viewers allowed to see them
+    const visibleVideoFilter = await getVisibleVideoFilter(req.user, { includeUnlisted: true, includeOwn: true });
+
     const playlistPipeline = [
         {
             $match: {
@@ -108,6 +114,9 @@ const getPlaylistById = asyncHandler(async (req, res) => {
                 foreignField: "_id",
                 as: "videos",
                 pipeline: [
+                    {
+                        $match: visibleVideoFilter
+                    },
                     {
                         $lookup: {
                             from: "users",
@@ -138,6 +147,9 @@ const getPlaylistById = asyncHandler(async (req, res) => {
                             description: 1,
                             duration: 1,
                             views: 1,
+                            visibility: 1,
+                            videoFileAsset: 1, // for signed URLs, not returned
+                            thumbnailAsset: 1,
                             createdAt: 1,
                             ownerDetails: 1
                         }
@@ -190,6 +202,8 @@ const getPlaylistById = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Playlist not found");
     }
 
+    playlist[0].videos = await Promise.all(playlist[0].videos.map(withSignedMediaUrls));
+
     return res.status(200).json(
         new ApiResponse(200, playlist[0], "Playlist fetched successfully")
     );
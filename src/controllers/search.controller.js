@@ -0,0 +1,104 @@
+import { isValidObjectId } from "mongoose"
+import { ApiResponse } from "../utils/ApiResponse.js"
+import { ApiError } from "../utils/ApiError.js"
+import { asyncHandler } from "../utils/asyncHandler.js"
+import { SearchHistory } from "../models/searchHistory.models.js"
+import { getSearchSuggestions, parseSearchTypes, search } from "../services/search.service.js"
+import { listSearchHistory } from "../services/searchHistory.service.js"
+
+// Results are merged across types before paging, so deep pages get expensive
+const MAX_SEARCH_RESULTS = 1000;
+
+const searchAll = asyncHandler(async (req, res) => {
+    const { q, type, page = 1, limit = 10, tags, category, minDuration, maxDuration, userId } = req.query;
+
+    // 1. Validate input
+    const pageNumber = parseInt(page, 10);
+    const limitNumber = parseInt(limit, 10);
+
+    if (isNaN(pageNumber) || pageNumber < 1 || isNaN(limitNumber) || limitNumber < 1 || limitNumber > 50) {
+        throw new ApiError(400, "Invalid page or limit parameters");
+    }
+
+    if (pageNumber * limitNumber > MAX_SEARCH_RESULTS) {
+        throw new ApiError(400, `Only the first ${MAX_SEARCH_RESULTS} results can be paged through. Refine the search`);
+    }
+
+    // 2. Search the requested types (all of them by default)
+    const results = await search({
+        query: q,
+        user: req.user,
+        types: parseSearchTypes(type),
+        page: pageNumber,
+        limit: limitNumber,
+        filters: { tags, category, minDuration, maxDuration, userId }
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, results, "Search results fetched successfully")
+    );
+});
+
+// Typeahead: the user's recent searches blended with popular titles, channels and tags
+const getSuggestions = asyncHandler(async (req, res) => {
+    const { q, limit = 10 } = req.query;
+
+    const limitNumber = parseInt(limit, 10);
+    if (isNaN(limitNumber) || limitNumber < 1 || limitNumber > 20) {
+        throw new ApiError(400, "limit must be between 1 and 20");
+    }
+
+    const suggestions = await getSearchSuggestions({ prefix: q, user: req.user, limit: limitNumber });
+
+    return res.status(200).json(
+        new ApiResponse(200, suggestions, "Search suggestions fetched successfully")
+    );
+});
+
+const getSearchHistory = asyncHandler(async (req, res) => {
+    const { limit = 20 } = req.query;
+
+    const limitNumber = parseInt(limit, 10);
+    if (isNaN(limitNumber) || limitNumber < 1 || limitNumber > 100) {
+        throw new ApiError(400, "limit must be between 1 and 100");
+    }
+
+    const history = await listSearchHistory(req.user._id, { limit: limitNumber });
+
+    return res.status(200).json(
+        new ApiResponse(200, history, "Search history fetched successfully")
+    );
+});
+
+const removeSearchHistoryEntry = asyncHandler(async (req, res) => {
+    const { entryId } = req.params;
+
+    if (!isValidObjectId(entryId)) {
+        throw new ApiError(400, "Invalid search history entry ID");
+    }
+
+    const entry = await SearchHistory.findOneAndDelete({ _id: entryId, user: req.user._id });
+    if (!entry) {
+        throw new ApiError(404, "Search history entry not found");
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, {}, "Search removed from history")
+    );
+});
+
+const clearSearchHistory = asyncHandler(async (req, res) => {
+    const { deletedCount } = await SearchHistory.deleteMany({ user: req.user._id });
+
+    return res.status(200).json(
+        new ApiResponse(200, { deletedCount }, "Search history cleared")
+    );
+});
+
+export {
+    searchAll,
+    getSuggestions,
+    getSearchHistory,
+    removeSearchHistoryEntry,
+    clearSearchHistory
+}
@@ -9,6 +9,7 @@ import { Subscription } from "../models/subscription.model.js"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
+import { assertNotBlockedBy } from "../policies/block.policy.js"
 
 
 const toggleSubscription = asyncHandler(async (req, res) => {
@@ -48,6 +49,8 @@ const toggleSubscription = asyncHandler(async (req, res) => {
         );
     }
 
+    await assertNotBlockedBy(channelId, req.user._id, "You cannot subscribe to this channel");
+
     const newSubscription = await Subscription.create({
         subscriber: req.user._id,
         channel: channelId
@@ -134,10 +137,16 @@ const getSubscribedChannels = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Invalid subscriber ID");
     }
 
-    // Security check: Ensure the user requesting is the subscriberId or handle permissions appropriately
-    // if (req.user?._id.toString() !== subscriberId) {
-    //     throw new ApiError(403, "Forbidden: You can only view your own subscriptions");
-    // }
+    // Privacy check: other users only see the list if the subscriber hasn't hidden it
+    if (req.user?._id.toString() !== subscriberId) {
+        const subscriber = await User.findById(subscriberId).select("privacy");
+        if (!subscriber) {
+            throw new ApiError(404, "User not found");
+        }
+        if (subscriber.privacy?.hideSubscriptions) {
+            throw new ApiError(403, "This user's subscriptions are private");
+        }
+    }
 
     // TODO: Add pagination (page, limit)
     // const { page = 1, limit = 10 } = req.query;
@@ -162,6 +171,7 @@ const getSubscribedChannels = asyncHandler(async (req, res) => {
                             foreignField: "owner",
                             as: "latestVideo",
                             pipeline: [
+                                { $match: { visibility: "public" } },
                                 { $sort: { createdAt: -1 } },
                                 { $limit: 1 },
                                 { $project: { thumbnail: 1 } }
@@ -5,6 +5,7 @@ import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { User } from "../models/user.model.js"; // Import User model if needed for checks
 import { Like } from "../models/like.model.js"; // Import Like model for deletion
+import { manageableContentFilter } from "../policies/ownership.policy.js";
 
 // Helper function (optional, consider if needed elsewhere or inline)
 const getTweetWithDetails = async (tweetId, userId = null) => {
@@ -203,7 +204,7 @@ const updateTweet = asyncHandler(async (req, res) => {
     const tweet = await Tweet.findOneAndUpdate(
         {
             _id: new mongoose.Types.ObjectId(tweetId),
-            owner: req.user._id // Ensure only the owner can update
+            ...manageableContentFilter(req.user) // Only the owner (or a moderator) can update
         },
         {
             $set: {
@@ -247,7 +248,7 @@ const deleteTweet = asyncHandler(async (req, res) => {
 
     const tweet = await Tweet.findOneAndDelete({
         _id: new mongoose.Types.ObjectId(tweetId),
-        owner: req.user._id // Ensure only the owner can delete
+        ...manageableContentFilter(req.user) // Only the owner (or a moderator) can delete
     });
 
     if (!tweet) {
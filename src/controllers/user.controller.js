@@ -1,24 +1,84 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { User } from "../models/user.model.js";
-import { uploadOnCloudinary, deleteFromCloudinary } from "../utils/cloudinary.js";
+import { uploadFile } from "../storage/index.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import jwt from 'jsonwebtoken';
 import mongoose, { isValidObjectId } from "mongoose";
 import { Subscription } from "../models/subscription.model.js"; // Import Subscription model
+import { Session } from "../models/session.models.js";
+import { sendMail } from "../utils/mailer.js";
+import { generateRandomToken, hashToken } from "../utils/token.js";
+import { describeDevice } from "../utils/device.js";
+import { buildOtpAuthUrl, generateTotpSecret, verifyTotp } from "../utils/totp.js";
+import { decryptSecret, encryptSecret } from "../utils/encryption.js";
+import { ROLES, TOKEN_SCOPES } from "../utils/permissions.js";
+import { assertLoginAllowed, recordLoginFailure, resetLoginFailures } from "../services/loginThrottle.service.js";
+import { LockoutEvent } from "../models/lockoutEvent.models.js";
+import { PersonalAccessToken } from "../models/personalAccessToken.models.js";
+import { ExternalIdentity } from "../models/externalIdentity.models.js";
+import { createAuthorizationRequest, exchangeCodeForClaims, getOidcProvider, getOidcProviders } from "../utils/oidc.js";
+import crypto from "crypto";
+import { DataExport } from "../models/dataExport.models.js";
+import { runDataExports } from "../jobs/dataExport.job.js";
+import { Block } from "../models/block.models.js";
+import { WatchHistory } from "../models/watchHistory.models.js";
+import { listWatchHistory } from "../services/watchHistory.service.js";
+import { deleteAssetOrQueue } from "../services/assetDeletion.service.js";
+import {
+  MAX_BIO_LENGTH, formatJoinedDate, getCountryName, normalizeCountryCode, normalizeProfileLinks
+} from "../utils/profile.js";
+import { validateUsername } from "../utils/username.js";
+import {
+  changeUsername as changeUsernameForUser, generateAvailableUsername, getUsernameHistory as getUsernameHistoryForUser,
+  isUsernameAvailable, resolveUsername
+} from "../services/username.service.js";
 
 // Utility function to generate tokens
-const generateAccessAndRefreshToken = async (userId) => {
+// Without a session a new one (new token family) is started for the requesting device;
+// with a session its refresh token is rotated and the previous one stops being valid.
+// With replacesTokenId (refresh), the session only gets the new token if that is still its
+// latest one; resolves to null otherwise, i.e. when the token was already rotated.
+const generateAccessAndRefreshToken = async (userId, req, session = null, { replacesTokenId = null } = {}) => {
   try {
     const user = await User.findById(userId);
     if (!user) {
       throw new ApiError(404, "User not found while generating tokens");
     }
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
 
-    user.refreshToken = refreshToken;
-    await user.save({ validateBeforeSave: false });
+    if (!session) {
+      const userAgent = req?.get?.("User-Agent") || "";
+      session = new Session({
+        user: user._id,
+        userAgent,
+        device: describeDevice(userAgent),
+        ip: req?.ip || ""
+      });
+    }
+
+    const tokenId = generateRandomToken(16);
+    const accessToken = user.generateAccessToken(session._id);
+    const refreshToken = user.generateRefreshToken(session._id, tokenId);
+
+    const rotation = {
+      refreshTokenHash: hashToken(tokenId),
+      lastUsedAt: new Date(),
+      expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+    };
+
+    if (replacesTokenId) {
+      // One conditional update, so of two requests racing with the same token only one wins
+      const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: hashToken(replacesTokenId), revokedAt: null },
+        { $set: { ...rotation, ip: session.ip } }
+      );
+      if (!rotated) {
+        return null;
+      }
+    } else {
+      session.set(rotation);
+      await session.save();
+    }
 
     return { accessToken, refreshToken };
   } catch (error) {
@@ -29,6 +89,20 @@ const generateAccessAndRefreshToken = async (userId) => {
   }
 };
 
+// Utility function to store and email a fresh verification token
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.generateEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = `${process.env.CLIENT_URL || ""}/verify-email?token=${verificationToken}`;
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Please confirm your email address by opening this link: ${verifyUrl}\n\nIf you did not create an account, you can ignore this email.`,
+  });
+};
+
 // Cookie options
 const cookieOptions = {
   httpOnly: true, // Prevent client-side JS access
@@ -36,6 +110,112 @@ const cookieOptions = {
   sameSite: 'Strict' // Mitigate CSRF attacks
 };
 
+// Utility function to start a session and send the login response (cookies + body)
+const sendLoginResponse = async (req, res, userId) => {
+  const { accessToken, refreshToken } = await generateAccessAndRefreshToken(userId, req);
+
+  // Fetch logged-in user details (excluding sensitive fields)
+  const loggedInUser = await User.findById(userId).select("-password");
+
+  return res
+    .status(200)
+    .cookie("accessToken", accessToken, cookieOptions)
+    .cookie("refreshToken", refreshToken, cookieOptions)
+    .json(new ApiResponse(
+      200,
+      { user: loggedInUser, accessToken, refreshToken },
+      "User logged in successfully"
+    ));
+};
+
+// Utility function to check a TOTP code or a recovery code (caller saves the user)
+// The user must be loaded with the twoFactor* fields selected.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    return user.useTwoFactorRecoveryCode(recoveryCode);
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactorSecret), code);
+  if (step === null || step <= (user.twoFactorLastUsedStep ?? -1)) {
+    return false;
+  }
+
+  user.twoFactorLastUsedStep = step;
+  return true;
+};
+
+// Short-lived cookie binding an OIDC login to the browser that started it
+const OIDC_STATE_COOKIE = "oidcState";
+const oidcStateCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'Lax', // Must survive the top-level redirect back from the provider
+  path: "/api/v1/users/oidc"
+};
+
+// Utility function to resolve the user behind an OIDC login: an already linked identity,
+// an existing account with the same verified email (linked now), or a brand new account.
+const findOrCreateOidcUser = async (provider, claims) => {
+  const identity = await ExternalIdentity.findOne({ provider: provider.name, subject: claims.sub });
+  if (identity) {
+    identity.lastLoginAt = new Date();
+    await identity.save();
+    return await User.findById(identity.user);
+  }
+
+  const email = claims.email?.toLowerCase().trim();
+  const isEmailVerified = claims.email_verified === true || claims.email_verified === "true";
+  if (!email || !isEmailVerified) {
+    throw new ApiError(400, "The provider did not supply a verified email address");
+  }
+
+  let user = await User.findOne({ email });
+
+  if (user && !user.isEmailVerified) {
+    // Linking to an unverified account would let whoever registered it take over the login
+    throw new ApiError(409, "An account with this email already exists. Log in with your password and verify your email first");
+  }
+
+  if (!user) {
+    const emailHash = crypto.createHash("md5").update(email).digest("hex");
+    try {
+      user = await User.create({
+        username: await generateAvailableUsername(claims.preferred_username || email.split("@")[0]),
+        email,
+        fullName: claims.name?.trim() || claims.preferred_username || email.split("@")[0],
+        avatar: claims.picture || `https://www.gravatar.com/avatar/${emailHash}?d=identicon`,
+        password: generateRandomToken(32), // Unusable until the user sets one via forgot-password
+        isEmailVerified: true
+      });
+    } catch (error) {
+      if (error?.code !== 11000) throw error;
+      // A concurrent first login created the account (or took the picked handle) first
+      user = await User.findOne({ email });
+      if (!user) {
+        throw new ApiError(409, "Could not create the account. Please try again");
+      }
+    }
+  }
+
+  try {
+    await ExternalIdentity.create({
+      user: user._id,
+      provider: provider.name,
+      subject: claims.sub,
+      email,
+      lastLoginAt: new Date()
+    });
+  } catch (error) {
+    if (error?.code !== 11000) throw error;
+    // A concurrent first login linked this identity first; continue with its account
+    const existingIdentity = await ExternalIdentity.findOne({ provider: provider.name, subject: claims.sub });
+    if (!existingIdentity) throw error;
+    return await User.findById(existingIdentity.user);
+  }
+
+  return user;
+};
+
 // Controller for user registration
 const registerUser = asyncHandler(async (req, res) => {
   const { fullName, email, username, password } = req.body;
@@ -50,12 +230,17 @@ const registerUser = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Invalid email format");
   }
 
-  // 2. Check if user already exists
+  const usernameError = validateUsername(username);
+  if (usernameError) {
+    throw new ApiError(400, usernameError);
+  }
+
+  // 2. Check if user already exists (recently retired usernames are still quarantined)
   const existedUser = await User.findOne({
-    $or: [{ username: username.toLowerCase() }, { email: email.toLowerCase() }]
+    $or: [{ username: username.toLowerCase().trim() }, { email: email.toLowerCase() }]
   }).lean(); // Use lean() for performance
 
-  if (existedUser) {
+  if (existedUser || !(await isUsernameAvailable(username))) {
     throw new ApiError(409, "User with this email or username already exists");
   }
 
@@ -67,8 +252,8 @@ const registerUser = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Avatar image is required");
   }
 
-  const avatar = await uploadOnCloudinary(avatarLocalPath);
-  const coverImage = coverImageLocalPath ? await uploadOnCloudinary(coverImageLocalPath) : null;
+  const avatar = await uploadFile(avatarLocalPath, { resourceType: "image" });
+  const coverImage = coverImageLocalPath ? await uploadFile(coverImageLocalPath, { resourceType: "image" }) : null;
 
   if (!avatar?.url) { // Check if URL exists after upload
     throw new ApiError(500, "Failed to upload avatar image");
@@ -80,27 +265,36 @@ const registerUser = asyncHandler(async (req, res) => {
     user = await User.create({
       fullName: fullName.trim(),
       avatar: avatar.url,
+      avatarAsset: avatar.asset,
       coverImage: coverImage?.url || "", // Default to empty string
+      coverImageAsset: coverImage?.asset || null,
       email: email.toLowerCase().trim(),
       password, // Hashing handled by pre-save hook
       username: username.toLowerCase().trim()
     });
   } catch (dbError) {
     // If DB creation fails, attempt to delete uploaded files
-    if (avatar?.public_id) await deleteFromCloudinary(avatar.public_id).catch(err => console.error("Failed to delete avatar after DB error:", err));
-    if (coverImage?.public_id) await deleteFromCloudinary(coverImage.public_id).catch(err => console.error("Failed to delete cover image after DB error:", err));
+    await safeDeleteStoredAsset(avatar?.asset);
+    await safeDeleteStoredAsset(coverImage?.asset);
     throw new ApiError(500, `Database error during user registration: ${dbError.message}`);
   }
 
-  // 5. Fetch created user (excluding sensitive fields)
-  const createdUser = await User.findById(user._id).select("-password -refreshToken");
+  // 5. Send verification email (not fatal: the user can request another one)
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error("Verification email error:", error);
+  }
+
+  // 6. Fetch created user (excluding sensitive fields)
+  const createdUser = await User.findById(user._id).select("-password");
 
   if (!createdUser) {
     // This case is less likely if create() succeeded, but handle defensively
     throw new ApiError(500, "Something went wrong while fetching the registered user details");
   }
 
-  // 6. Return response
+  // 7. Return response
   return res.status(201).json(new ApiResponse(201, createdUser, "User registered Successfully"));
 });
 
@@ -116,7 +310,10 @@ const loginUser = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Username or email is required");
   }
 
-  // 2. Find user (include password for comparison)
+  // 2. Refuse a locked-out IP before looking anything up, so it can't probe for accounts
+  await assertLoginAllowed({ ip: req.ip });
+
+  // 3. Find user (include password for comparison)
   const user = await User.findOne({
     $or: [
       { username: username?.toLowerCase() },
@@ -125,45 +322,203 @@ const loginUser = asyncHandler(async (req, res) => {
   });
 
   if (!user) {
+    await recordLoginFailure({ ip: req.ip });
     throw new ApiError(404, "User does not exist");
   }
 
-  // 3. Validate password
+  // 4. Refuse while the account is locked out or throttled
+  await assertLoginAllowed({ userId: user._id });
+
+  // 5. Validate password
   const isPasswordValid = await user.isPasswordCorrect(password);
   if (!isPasswordValid) {
+    await recordLoginFailure({ userId: user._id, ip: req.ip });
     throw new ApiError(401, "Invalid user credentials");
   }
 
-  // 4. Generate tokens
-  const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id);
+  if (user.deletionScheduledFor) {
+    throw new ApiError(403, "This account is scheduled for deletion. Restore it to log in again");
+  }
+
+  // 6. With 2FA enabled, hand out a challenge instead of tokens
+  // (failure counters are only reset once the second factor succeeds)
+  if (user.isTwoFactorEnabled) {
+    const challengeToken = user.generateTwoFactorChallengeToken();
+    return res
+      .status(200)
+      .json(new ApiResponse(
+        200,
+        { twoFactorRequired: true, challengeToken },
+        "Two-factor authentication code required"
+      ));
+  }
+
+  // 7. Generate tokens and send them via cookies and response body
+  await resetLoginFailures({ userId: user._id });
+  return await sendLoginResponse(req, res, user._id);
+});
+
+// Controller for the second step of a 2FA login
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  // 1. Validate input
+  if (!challengeToken) {
+    throw new ApiError(400, "Challenge token is required");
+  }
+  if (!code && !recoveryCode) {
+    throw new ApiError(400, "Authentication code or recovery code is required");
+  }
+
+  // 2. Verify the challenge issued by the password step
+  let decodedToken;
+  try {
+    decodedToken = jwt.verify(challengeToken, process.env.TWO_FACTOR_CHALLENGE_SECRET);
+  } catch (error) {
+    throw new ApiError(401, "Login challenge is invalid or has expired, please log in again");
+  }
+  if (decodedToken?.purpose !== "2fa-challenge") {
+    throw new ApiError(401, "Invalid login challenge");
+  }
+
+  // 3. Find user with 2FA secrets
+  const user = await User.findById(decodedToken._id)
+    .select("+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes");
+  if (!user || !user.isTwoFactorEnabled) {
+    throw new ApiError(401, "Invalid login challenge");
+  }
+
+  // 4. Check the second factor (guessing codes counts as failed logins)
+  await assertLoginAllowed({ userId: user._id, ip: req.ip });
+  if (!verifySecondFactor(user, { code, recoveryCode })) {
+    await recordLoginFailure({ userId: user._id, ip: req.ip });
+    throw new ApiError(401, "Invalid authentication code");
+  }
+  await user.save({ validateBeforeSave: false });
+
+  // 5. Generate tokens and send them via cookies and response body
+  await resetLoginFailures({ userId: user._id });
+  return await sendLoginResponse(req, res, user._id);
+});
 
-  // 5. Fetch logged-in user details (excluding sensitive fields)
-  const loggedInUser = await User.findById(user._id).select("-password -refreshToken");
+// Controller to list the configured "sign in with provider" options
+const getOidcLoginProviders = asyncHandler(async (req, res) => {
+  const providers = getOidcProviders().map((provider) => ({
+    name: provider.name,
+    displayName: provider.displayName || provider.name,
+    loginUrl: `/api/v1/users/oidc/${provider.name}`
+  }));
 
-  // 6. Send tokens via cookies and response body
   return res
     .status(200)
-    .cookie("accessToken", accessToken, cookieOptions)
-    .cookie("refreshToken", refreshToken, cookieOptions)
-    .json(new ApiResponse(
-      200,
-      { user: loggedInUser, accessToken, refreshToken },
-      "User logged in successfully"
-    ));
+    .json(new ApiResponse(200, providers, "Sign-in providers fetched successfully"));
+});
+
+// Controller to start an OIDC login: redirects the browser to the provider
+const startOidcLogin = asyncHandler(async (req, res) => {
+  const provider = getOidcProvider(req.params.provider);
+  if (!provider) {
+    throw new ApiError(404, "Unknown sign-in provider");
+  }
+
+  // 1. Build the authorization request (state, nonce and PKCE verifier)
+  const { url, state, nonce, codeVerifier } = await createAuthorizationRequest(provider);
+
+  // 2. Remember it in a signed cookie for the callback
+  const loginRequest = jwt.sign(
+    { provider: provider.name, state, nonce, codeVerifier },
+    process.env.OIDC_STATE_SECRET,
+    { expiresIn: "10m" }
+  );
+
+  return res
+    .cookie(OIDC_STATE_COOKIE, loginRequest, { ...oidcStateCookieOptions, maxAge: 10 * 60 * 1000 })
+    .redirect(url);
+});
+
+// Controller for the provider's redirect back: finishes the login with our usual cookies
+const handleOidcCallback = asyncHandler(async (req, res) => {
+  const { code, state, error } = req.query;
+
+  const provider = getOidcProvider(req.params.provider);
+  if (!provider) {
+    throw new ApiError(404, "Unknown sign-in provider");
+  }
+
+  // 1. The provider may report a failure (e.g. the user cancelled)
+  if (error) {
+    throw new ApiError(401, `Sign-in was not completed: ${error}`);
+  }
+  if (!code || !state) {
+    throw new ApiError(400, "Authorization code and state are required");
+  }
+
+  // 2. Check the callback belongs to the login this browser started
+  let loginRequest;
+  try {
+    loginRequest = jwt.verify(req.cookies?.[OIDC_STATE_COOKIE], process.env.OIDC_STATE_SECRET);
+  } catch (err) {
+    throw new ApiError(400, "Sign-in request is invalid or has expired, please try again");
+  }
+  if (loginRequest.provider !== provider.name || loginRequest.state !== state) {
+    throw new ApiError(400, "Sign-in state mismatch, please try again");
+  }
+  res.clearCookie(OIDC_STATE_COOKIE, oidcStateCookieOptions);
+
+  // 3. Exchange the code and verify the ID token
+  let claims;
+  try {
+    claims = await exchangeCodeForClaims(provider, {
+      code,
+      codeVerifier: loginRequest.codeVerifier,
+      nonce: loginRequest.nonce
+    });
+  } catch (err) {
+    console.error("OIDC token exchange error:", err);
+    throw new ApiError(401, "Could not verify the sign-in with the provider");
+  }
+
+  // 4. Find, link or create the user
+  const user = await findOrCreateOidcUser(provider, claims);
+  if (!user) {
+    throw new ApiError(404, "User does not exist");
+  }
+  if (user.deletionScheduledFor) {
+    throw new ApiError(403, "This account is scheduled for deletion. Restore it to log in again");
+  }
+
+  const redirectUrl = process.env.OIDC_LOGIN_REDIRECT_URL;
+
+  // 5. Accounts with 2FA still need the second step
+  if (user.isTwoFactorEnabled) {
+    const challengeToken = user.generateTwoFactorChallengeToken();
+    if (redirectUrl) {
+      return res.redirect(`${redirectUrl}#twoFactorRequired=true&challengeToken=${challengeToken}`);
+    }
+    return res
+      .status(200)
+      .json(new ApiResponse(
+        200,
+        { twoFactorRequired: true, challengeToken },
+        "Two-factor authentication code required"
+      ));
+  }
+
+  // 6. Issue the same cookies as a password login
+  if (redirectUrl) {
+    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id, req);
+    return res
+      .cookie("accessToken", accessToken, cookieOptions)
+      .cookie("refreshToken", refreshToken, cookieOptions)
+      .redirect(redirectUrl);
+  }
+  return await sendLoginResponse(req, res, user._id);
 });
 
 // Controller for user logout
 const logoutUser = asyncHandler(async (req, res) => {
-  // Clear the refresh token in the database
-  await User.findByIdAndUpdate(
-    req.user._id,
-    {
-      $set: { // Set refreshToken to undefined or null
-        refreshToken: undefined
-      }
-    },
-    { new: true } // Optional: return updated doc
-  );
+  // Revoke the current session (its refresh token family)
+  await Session.revokeMany({ _id: req.sessionId, user: req.user._id }, "logout");
 
   // Clear cookies on the client side
   return res
@@ -186,21 +541,32 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
     // 2. Verify the refresh token
     const decodedToken = jwt.verify(incomingRefreshToken, process.env.REFRESH_TOKEN_SECRET);
 
-    // 3. Find user based on decoded token ID
-    const user = await User.findById(decodedToken?._id);
-    if (!user) {
-      throw new ApiError(401, "Invalid refresh token: User not found");
+    // 3. Find the session (token family) the refresh token belongs to
+    if (!isValidObjectId(decodedToken?.sid)) {
+      throw new ApiError(401, "Invalid refresh token");
     }
 
-    // 4. Check if the incoming token matches the one stored in DB
-    if (incomingRefreshToken !== user?.refreshToken) {
-      // If tokens don't match, it might indicate token reuse or compromise
-      // Consider invalidating all tokens for this user as a security measure
-      throw new ApiError(401, "Refresh token is expired or used");
+    const session = await Session.findOne({
+      _id: decodedToken.sid,
+      user: decodedToken._id
+    });
+
+    if (!session || !session.isActive()) {
+      throw new ApiError(401, "Session has expired or was revoked");
     }
 
-    // 5. Generate new pair of tokens
-    const { accessToken, refreshToken: newRefreshToken } = await generateAccessAndRefreshToken(user._id);
+    // 4. Rotate: generate new pair of tokens within the same session, replacing the presented one
+    session.ip = req.ip || session.ip;
+    const tokens = await generateAccessAndRefreshToken(decodedToken._id, req, session, {
+      replacesTokenId: decodedToken.jti
+    });
+
+    // 5. Only the latest token of a family is valid; an older one means it was stolen or replayed
+    if (!tokens) {
+      await Session.revokeMany({ _id: session._id }, "reuse-detected");
+      throw new ApiError(401, "Refresh token reuse detected, the session has been revoked");
+    }
+    const { accessToken, refreshToken: newRefreshToken } = tokens;
 
     // 6. Send new tokens via cookies and response
     return res
@@ -265,161 +631,776 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, {}, "Password changed successfully"));
 });
 
-// Controller to get current logged-in user details
-const getCurrentUser = asyncHandler(async (req, res) => {
-  // req.user is populated by the auth middleware
-  if (!req.user) {
-      throw new ApiError(401, "Unauthorized request");
+// Controller to request a password reset email
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  // 1. Validate input
+  if (!email?.trim()) {
+    throw new ApiError(400, "Email is required");
+  }
+
+  // 2. Find user; respond the same way whether or not the account exists
+  const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+  if (user) {
+    // 3. Store a hashed, expiring token and email the raw one
+    const resetToken = user.generatePasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = `${process.env.CLIENT_URL || ""}/reset-password?token=${resetToken}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `We received a request to reset your password.\n\nUse this link to choose a new one: ${resetUrl}\n\nIf you did not ask for this, you can ignore this email.`,
+      });
+    } catch (error) {
+      // Don't leave a usable token behind if the email never went out. Still fall through to
+      // the generic response: a 500 only for existing accounts would reveal which emails exist.
+      user.passwordResetToken = undefined;
+      user.passwordResetExpiry = undefined;
+      await user.save({ validateBeforeSave: false });
+      console.error("Password reset email error:", error);
+    }
   }
+
+  // 4. Return generic response (prevents account enumeration)
   return res
     .status(200)
-    .json(new ApiResponse(200, req.user, "User fetched successfully"));
+    .json(new ApiResponse(200, {}, "If an account with that email exists, a reset link has been sent"));
 });
 
-// Controller to update account details (fullName, email)
-const updateAccountDetails = asyncHandler(async (req, res) => {
-  const { fullName, email } = req.body;
+// Controller to set a new password using an emailed reset token
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
 
-  // 1. Validate input (at least one field required)
-  if (!fullName?.trim() && !email?.trim()) {
-    throw new ApiError(400, "At least one field (fullName or email) is required to update");
+  // 1. Validate input
+  if (!token?.trim() || !newPassword?.trim()) {
+    throw new ApiError(400, "Reset token and new password are required");
   }
 
-  // 2. Prepare update object
-  const updateData = {};
-  if (fullName?.trim()) {
-    updateData.fullName = fullName.trim();
+  // 2. Find user by hashed token that has not expired yet
+  const user = await User.findOne({
+    passwordResetToken: hashToken(token.trim()),
+    passwordResetExpiry: { $gt: new Date() }
+  });
+
+  if (!user) {
+    throw new ApiError(400, "Password reset token is invalid or has expired");
   }
-  if (email?.trim()) {
-    const normalizedEmail = email.toLowerCase().trim();
-    // Basic email format validation
-    if (!/\S+@\S+\.\S+/.test(normalizedEmail)) {
-      throw new ApiError(400, "Invalid email format");
-    }
-    // Check if the new email is already taken by another user
-    const emailExists = await User.findOne({ email: normalizedEmail, _id: { $ne: req.user?._id } });
-    if (emailExists) {
-        throw new ApiError(409, "Email already in use by another account");
-    }
-    updateData.email = normalizedEmail;
+
+  // 3. Update password and consume the token
+  user.password = newPassword; // Hashing handled by pre-save hook
+  user.passwordResetToken = undefined;
+  user.passwordResetExpiry = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  // 4. Log out existing sessions and revoke personal access tokens
+  await Session.revokeMany({ user: user._id }, "password-reset");
+  await PersonalAccessToken.revokeAllForUser(user._id);
+
+  // 5. Return success response
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Password has been reset successfully"));
+});
+
+// Controller to confirm an email address using the emailed token
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  // 1. Validate input
+  if (!token?.trim()) {
+    throw new ApiError(400, "Verification token is required");
   }
 
-  // 3. Find and update user
-  const user = await User.findByIdAndUpdate(
-    req.user?._id,
-    {
-      $set: updateData
-    },
-    { new: true } // Return the updated document
-  ).select("-password -refreshToken");
+  // 2. Find user by hashed token that has not expired yet
+  const user = await User.findOne({
+    emailVerificationToken: hashToken(token.trim()),
+    emailVerificationExpiry: { $gt: new Date() }
+  });
 
   if (!user) {
-    throw new ApiError(404, "User not found"); // Should not happen if authenticated
+    throw new ApiError(400, "Verification token is invalid or has expired");
   }
 
-  // 4. Return updated user details
+  // 3. Mark email as verified and consume the token
+  user.isEmailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpiry = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  // 4. Return success response
   return res
     .status(200)
-    .json(new ApiResponse(200, user, "Account details updated successfully"));
+    .json(new ApiResponse(200, { isEmailVerified: true }, "Email verified successfully"));
 });
 
-// Helper function to safely delete from Cloudinary
-const safeDeleteFromCloudinary = async (publicId, resourceType = 'image') => {
-    if (!publicId) return;
-    try {
-        await deleteFromCloudinary(publicId, resourceType);
-        console.log(`Successfully deleted ${resourceType} from Cloudinary: ${publicId}`);
-    } catch (error) {
-        console.error(`Failed to delete ${resourceType} from Cloudinary (${publicId}):`, error);
-        // Optionally: Add to a cleanup queue or monitoring
-    }
-};
+// Controller to send a new verification email to the logged-in user
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  // 1. Find user
+  const user = await User.findById(req.user?._id);
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
 
-// Controller to update user avatar
-const updateUserAvatar = asyncHandler(async (req, res) => {
-  // 1. Get file path
-  const avatarLocalPath = req.file?.path;
-  if (!avatarLocalPath) {
-    throw new ApiError(400, "Avatar image file is missing");
+  // 2. Nothing to do if already verified
+  if (user.isEmailVerified) {
+    throw new ApiError(400, "Email is already verified");
   }
 
-  // 2. Upload new avatar
-  const avatar = await uploadOnCloudinary(avatarLocalPath);
-  if (!avatar?.url) {
-    throw new ApiError(500, "Error while uploading avatar image");
+  // 3. Issue a new token (replaces any previous one)
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error("Verification email error:", error);
+    throw new ApiError(500, "Failed to send verification email");
   }
 
-  // 3. Update user document
-  const oldAvatarUrl = req.user?.avatar; // Store old URL before updating
-  const user = await User.findByIdAndUpdate(
-    req.user?._id,
-    {
-      $set: {
-        avatar: avatar.url // Update with the new URL
-      }
-    },
-    { new: true }
-  ).select("-password -refreshToken");
+  // 4. Return success response
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Verification email sent"));
+});
 
+// Controller to start 2FA enrollment: creates a secret for the authenticator app
+const enrollTwoFactor = asyncHandler(async (req, res) => {
+  // 1. Find user
+  const user = await User.findById(req.user?._id);
   if (!user) {
-    // If DB update fails, try to delete the newly uploaded avatar
-    await safeDeleteFromCloudinary(avatar.public_id);
-    throw new ApiError(500, "Failed to update avatar in database");
+    throw new ApiError(404, "User not found");
   }
 
-  // 4. Delete old avatar from Cloudinary (AFTER successful DB update)
-  if (oldAvatarUrl && oldAvatarUrl !== avatar.url) {
-    const urlParts = oldAvatarUrl.split('/');
-    const publicIdWithExtension = urlParts[urlParts.length - 1];
-    const oldAvatarPublicId = publicIdWithExtension.split('.')[0];
-    await safeDeleteFromCloudinary(oldAvatarPublicId);
+  if (user.isTwoFactorEnabled) {
+    throw new ApiError(400, "Two-factor authentication is already enabled");
   }
 
-  // 5. Return response
+  // 2. Store a pending secret (encrypted); it only becomes active after the first valid code
+  const secret = generateTotpSecret();
+  user.twoFactorPendingSecret = encryptSecret(secret);
+  await user.save({ validateBeforeSave: false });
+
+  // 3. Return secret and otpauth URL (rendered as a QR code by the client)
   return res
     .status(200)
-    .json(new ApiResponse(200, user, "Avatar updated successfully"));
+    .json(new ApiResponse(
+      200,
+      { secret, otpAuthUrl: buildOtpAuthUrl(secret, user.email) },
+      "Scan the QR code with your authenticator app and confirm with a code"
+    ));
 });
 
-// Controller to update user cover image
-const updateUserCoverImage = asyncHandler(async (req, res) => {
-  // 1. Get file path
-  const coverImageLocalPath = req.file?.path;
-  if (!coverImageLocalPath) {
-    throw new ApiError(400, "Cover image file is missing");
-  }
+// Controller to finish 2FA enrollment with the first code from the app
+const verifyTwoFactorEnrollment = asyncHandler(async (req, res) => {
+  const { code } = req.body;
 
-  // 2. Upload new cover image
-  const coverImage = await uploadOnCloudinary(coverImageLocalPath);
-  if (!coverImage?.url) {
-    throw new ApiError(500, "Error while uploading cover image");
+  // 1. Validate input
+  if (!code) {
+    throw new ApiError(400, "Authentication code is required");
   }
 
-  // 3. Update user document
-  const oldCoverImageUrl = req.user?.coverImage; // Store old URL
+  // 2. Find user with the pending secret
+  const user = await User.findById(req.user?._id).select("+twoFactorPendingSecret");
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+  if (!user.twoFactorPendingSecret) {
+    throw new ApiError(400, "Two-factor enrollment has not been started");
+  }
+
+  // 3. Check the code against the pending secret
+  const step = verifyTotp(decryptSecret(user.twoFactorPendingSecret), code);
+  if (step === null) {
+    throw new ApiError(400, "Invalid authentication code");
+  }
+
+  // 4. Activate 2FA and create recovery codes
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorLastUsedStep = step;
+  user.isTwoFactorEnabled = true;
+  const recoveryCodes = user.generateTwoFactorRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  // 5. Return recovery codes (shown only this once)
+  return res
+    .status(200)
+    .json(new ApiResponse(
+      200,
+      { isTwoFactorEnabled: true, recoveryCodes },
+      "Two-factor authentication enabled. Store your recovery codes somewhere safe"
+    ));
+});
+
+// Controller to turn 2FA off (requires password and a current code)
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  // 1. Validate input
+  if (!password) {
+    throw new ApiError(400, "Password is required");
+  }
+  if (!code && !recoveryCode) {
+    throw new ApiError(400, "Authentication code or recovery code is required");
+  }
+
+  // 2. Find user with 2FA secrets
+  const user = await User.findById(req.user?._id)
+    .select("+twoFactorSecret +twoFactorLastUsedStep +twoFactorRecoveryCodes");
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+  if (!user.isTwoFactorEnabled) {
+    throw new ApiError(400, "Two-factor authentication is not enabled");
+  }
+
+  // 3. Verify password and second factor, throttled like logins
+  await assertLoginAllowed({ userId: user._id, ip: req.ip });
+  const isPasswordCorrect = await user.isPasswordCorrect(password);
+  if (!isPasswordCorrect) {
+    await recordLoginFailure({ userId: user._id, ip: req.ip });
+    throw new ApiError(400, "Incorrect password");
+  }
+  if (!verifySecondFactor(user, { code, recoveryCode })) {
+    await recordLoginFailure({ userId: user._id, ip: req.ip });
+    throw new ApiError(400, "Invalid authentication code");
+  }
+  await resetLoginFailures({ userId: user._id });
+
+  // 4. Remove secrets and recovery codes
+  user.isTwoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorLastUsedStep = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  // 5. Return success response
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { isTwoFactorEnabled: false }, "Two-factor authentication disabled"));
+});
+
+// Controller to list the logged-in user's active sessions (devices)
+const getActiveSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user?._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select("device userAgent ip createdAt lastUsedAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  const sessionsWithCurrent = sessions.map((session) => ({
+    ...session,
+    isCurrent: session._id.toString() === req.sessionId?.toString()
+  }));
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, sessionsWithCurrent, "Active sessions fetched successfully"));
+});
+
+// Controller to revoke a single session (e.g. a lost phone)
+const revokeSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!isValidObjectId(sessionId)) {
+    throw new ApiError(400, "Invalid session ID");
+  }
+
+  const result = await Session.revokeMany({ _id: sessionId, user: req.user?._id }, "revoked");
+
+  if (!result.modifiedCount) {
+    throw new ApiError(404, "Session not found or already revoked");
+  }
+
+  const response = res.status(200);
+
+  // Revoking the session in use is the same as logging out
+  if (sessionId === req.sessionId?.toString()) {
+    response
+      .clearCookie("accessToken", cookieOptions)
+      .clearCookie("refreshToken", cookieOptions);
+  }
+
+  return response.json(new ApiResponse(200, { revokedSessionId: sessionId }, "Session revoked successfully"));
+});
+
+// Controller to log out of every device
+const logoutAllSessions = asyncHandler(async (req, res) => {
+  const result = await Session.revokeMany({ user: req.user?._id }, "logout-all");
+  const revokedTokens = await PersonalAccessToken.revokeAllForUser(req.user?._id);
+
+  return res
+    .status(200)
+    .clearCookie("accessToken", cookieOptions)
+    .clearCookie("refreshToken", cookieOptions)
+    .json(new ApiResponse(200, { revokedSessions: result.modifiedCount, revokedAccessTokens: revokedTokens.modifiedCount }, "Logged out from all devices successfully"));
+});
+
+// Controller to create a personal access token for scripts and integrations
+const createPersonalAccessToken = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays = 30 } = req.body;
+
+  // 1. Validate input
+  if (!name?.trim()) {
+    throw new ApiError(400, "Token name is required");
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new ApiError(400, "At least one scope is required");
+  }
+
+  const invalidScopes = scopes.filter((scope) => !TOKEN_SCOPES.includes(scope));
+  if (invalidScopes.length) {
+    throw new ApiError(400, `Invalid scopes: ${invalidScopes.join(", ")}`, [{ validScopes: TOKEN_SCOPES }]);
+  }
+
+  const maxDays = Number(process.env.PERSONAL_ACCESS_TOKEN_MAX_DAYS) || 365;
+  const days = Number(expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > maxDays) {
+    throw new ApiError(400, `expiresInDays must be a whole number between 1 and ${maxDays}`);
+  }
+
+  // 2. Create token (only the hash is stored)
+  const accessToken = new PersonalAccessToken({
+    user: req.user._id,
+    name: name.trim(),
+    scopes: [...new Set(scopes)],
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+  });
+  const token = accessToken.generateToken();
+  await accessToken.save();
+
+  // 3. Return the raw token (shown only this once)
+  return res
+    .status(201)
+    .json(new ApiResponse(
+      201,
+      {
+        _id: accessToken._id,
+        name: accessToken.name,
+        scopes: accessToken.scopes,
+        expiresAt: accessToken.expiresAt,
+        token
+      },
+      "Personal access token created. Copy it now, it won't be shown again"
+    ));
+});
+
+// Controller to list the logged-in user's personal access tokens
+const getPersonalAccessTokens = asyncHandler(async (req, res) => {
+  const tokens = await PersonalAccessToken.find({ user: req.user?._id, revokedAt: null })
+    .select("name tokenHint scopes expiresAt lastUsedAt createdAt")
+    .sort({ createdAt: -1 })
+    .lean();
+
+  const tokensWithStatus = tokens.map((token) => ({
+    ...token,
+    isExpired: token.expiresAt <= new Date()
+  }));
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, tokensWithStatus, "Personal access tokens fetched successfully"));
+});
+
+// Controller to revoke a personal access token
+const revokePersonalAccessToken = asyncHandler(async (req, res) => {
+  const { tokenId } = req.params;
+
+  if (!isValidObjectId(tokenId)) {
+    throw new ApiError(400, "Invalid token ID");
+  }
+
+  const token = await PersonalAccessToken.findOneAndUpdate(
+    { _id: tokenId, user: req.user?._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  if (!token) {
+    throw new ApiError(404, "Token not found or already revoked");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { revokedTokenId: tokenId }, "Personal access token revoked successfully"));
+});
+
+// Controller to request a copy of everything we hold about the logged-in user
+const requestDataExport = asyncHandler(async (req, res) => {
+  // 1. Rate limit: one export per cooldown period (failed attempts don't count).
+  //    Exports that no longer count give up their slot; the unique index on cooldownUser
+  //    then lets only one concurrent request claim it.
+  const cooldownHours = Number(process.env.DATA_EXPORT_COOLDOWN_HOURS) || 24;
+  await DataExport.updateMany(
+    {
+      cooldownUser: req.user._id,
+      $or: [
+        { status: "failed" },
+        { createdAt: { $lte: new Date(Date.now() - cooldownHours * 60 * 60 * 1000) } }
+      ]
+    },
+    { $unset: { cooldownUser: 1 } }
+  );
+
+  // 2. Queue the export and nudge the worker
+  let dataExport;
+  try {
+    dataExport = await DataExport.create({ user: req.user._id, cooldownUser: req.user._id });
+  } catch (createError) {
+    if (createError?.code !== 11000) throw createError;
+
+    const recentExport = await DataExport.findOne({ cooldownUser: req.user._id });
+    const retryAt = (recentExport?.createdAt.getTime() ?? Date.now()) + cooldownHours * 60 * 60 * 1000;
+    const retryAfter = Math.max(Math.ceil((retryAt - Date.now()) / 1000), 1);
+    const error = new ApiError(
+      429,
+      `You can request one data export every ${cooldownHours} hours`,
+      [{ code: "DATA_EXPORT_RATE_LIMITED", retryAfter, exportId: recentExport?._id ?? null }]
+    );
+    error.headers = { "Retry-After": String(retryAfter) };
+    throw error;
+  }
+  setImmediate(runDataExports);
+
+  // 3. Return the job so the client can poll it
+  return res
+    .status(202)
+    .json(new ApiResponse(202, dataExport, "Data export requested. Check its status to download it when ready"));
+});
+
+// Controller to poll a data export; completed exports include a short-lived download link
+const getDataExport = asyncHandler(async (req, res) => {
+  const { exportId } = req.params;
+
+  if (!isValidObjectId(exportId)) {
+    throw new ApiError(400, "Invalid export ID");
+  }
+
+  const dataExport = await DataExport.findOne({ _id: exportId, user: req.user?._id }).lean();
+  if (!dataExport) {
+    throw new ApiError(404, "Data export not found");
+  }
+
+  if (dataExport.status === "completed") {
+    const downloadToken = jwt.sign(
+      { exportId: dataExport._id, purpose: "data-export" },
+      process.env.DATA_EXPORT_DOWNLOAD_SECRET,
+      { expiresIn: process.env.DATA_EXPORT_DOWNLOAD_EXPIRY || "15m" }
+    );
+    dataExport.downloadUrl = `/api/v1/users/exports/${dataExport._id}/download?token=${downloadToken}`;
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, dataExport, "Data export fetched successfully"));
+});
+
+// Controller to download the archive through a signed, time-limited link
+const downloadDataExport = asyncHandler(async (req, res) => {
+  const { exportId } = req.params;
+  const { token } = req.query;
+
+  // 1. Verify the link
+  let decodedToken;
+  try {
+    decodedToken = jwt.verify(token, process.env.DATA_EXPORT_DOWNLOAD_SECRET);
+  } catch (error) {
+    throw new ApiError(401, "Download link is invalid or has expired");
+  }
+  if (decodedToken?.purpose !== "data-export" || decodedToken.exportId !== exportId) {
+    throw new ApiError(401, "Download link is invalid or has expired");
+  }
+
+  // 2. Find the archive
+  const dataExport = await DataExport.findOne({ _id: exportId, status: "completed" }).select("+filePath");
+  if (!dataExport?.filePath) {
+    throw new ApiError(404, "Data export is not available");
+  }
+
+  // 3. Stream it
+  const fileName = `data-export-${dataExport.completedAt.toISOString().slice(0, 10)}.zip`;
+  return res.download(dataExport.filePath, fileName);
+});
+
+// Controller to get current logged-in user details
+const getCurrentUser = asyncHandler(async (req, res) => {
+  // req.user is populated by the auth middleware
+  if (!req.user) {
+      throw new ApiError(401, "Unauthorized request");
+  }
+  return res
+    .status(200)
+    .json(new ApiResponse(200, req.user, "User fetched successfully"));
+});
+
+// Controller to update account details (fullName, email)
+const updateAccountDetails = asyncHandler(async (req, res) => {
+  const { fullName, email } = req.body;
+
+  // 1. Validate input (at least one field required)
+  if (!fullName?.trim() && !email?.trim()) {
+    throw new ApiError(400, "At least one field (fullName or email) is required to update");
+  }
+
+  // 2. Prepare update object
+  const updateData = {};
+  if (fullName?.trim()) {
+    updateData.fullName = fullName.trim();
+  }
+  if (email?.trim()) {
+    const normalizedEmail = email.toLowerCase().trim();
+    // Basic email format validation
+    if (!/\S+@\S+\.\S+/.test(normalizedEmail)) {
+      throw new ApiError(400, "Invalid email format");
+    }
+    // Check if the new email is already taken by another user
+    const emailExists = await User.findOne({ email: normalizedEmail, _id: { $ne: req.user?._id } });
+    if (emailExists) {
+        throw new ApiError(409, "Email already in use by another account");
+    }
+    if (normalizedEmail !== req.user?.email) {
+      updateData.email = normalizedEmail;
+      // A new address has to be verified again
+      updateData.isEmailVerified = false;
+    }
+  }
+
+  // 3. Find and update user
+  const user = await User.findByIdAndUpdate(
+    req.user?._id,
+    {
+      $set: updateData
+    },
+    { new: true } // Return the updated document
+  ).select("-password");
+
+  if (!user) {
+    throw new ApiError(404, "User not found"); // Should not happen if authenticated
+  }
+
+  // 4. Send verification email to the new address
+  if (updateData.email) {
+    try {
+      await sendVerificationEmail(await User.findById(user._id));
+    } catch (error) {
+      console.error("Verification email error:", error);
+    }
+  }
+
+  // 5. Return updated user details
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "Account details updated successfully"));
+});
+
+// Controller to change the username; the old one keeps redirecting to this channel
+const changeUsername = asyncHandler(async (req, res) => {
+  const { username } = req.body;
+
+  // 1. Validate input
+  if (!username?.trim()) {
+    throw new ApiError(400, "Username is required");
+  }
+
+  // 2. Apply the change (validation, cooldown, availability and history live in the service)
+  const { user, previousUsername } = await changeUsernameForUser(req.user._id, username);
+
+  // 3. Return the updated user
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { user, previousUsername }, "Username changed successfully"));
+});
+
+// Controller to list the usernames the current user has retired
+const getUsernameHistory = asyncHandler(async (req, res) => {
+  const history = await getUsernameHistoryForUser(req.user._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, history, "Username history fetched successfully"));
+});
+
+// Controller to update the public channel profile (bio, links, country)
+const updateChannelProfile = asyncHandler(async (req, res) => {
+  const { bio, links, country } = req.body;
+
+  // 1. Validate input (at least one field required)
+  if (bio === undefined && links === undefined && country === undefined) {
+    throw new ApiError(400, "At least one field (bio, links or country) is required to update");
+  }
+
+  // 2. Prepare update object; null/empty values clear a field
+  const updateData = {};
+  if (bio !== undefined) {
+    const trimmedBio = String(bio ?? "").trim();
+    if (trimmedBio.length > MAX_BIO_LENGTH) {
+      throw new ApiError(400, `Bio can be at most ${MAX_BIO_LENGTH} characters`);
+    }
+    updateData.bio = trimmedBio;
+  }
+  if (links !== undefined) {
+    try {
+      updateData.links = normalizeProfileLinks(links ?? []);
+    } catch (error) {
+      throw new ApiError(400, error.message);
+    }
+  }
+  if (country !== undefined) {
+    if (country === null || country === "") {
+      updateData.country = null;
+    } else {
+      updateData.country = normalizeCountryCode(country);
+      if (!updateData.country) {
+        throw new ApiError(400, "Country must be a valid ISO 3166-1 alpha-2 code");
+      }
+    }
+  }
+
+  // 3. Update and return the user
+  const user = await User.findByIdAndUpdate(
+    req.user?._id,
+    { $set: updateData },
+    { new: true, runValidators: true }
+  ).select("-password");
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "Channel profile updated successfully"));
+});
+
+// Controller to change which parts of the profile other users can see
+const updatePrivacySettings = asyncHandler(async (req, res) => {
+  const allowedSettings = ["hideEmail", "hideSubscriptions", "hideLikedVideos"];
+
+  // 1. Validate input: only known boolean flags
+  const updateData = {};
+  for (const [key, value] of Object.entries(req.body || {})) {
+    if (!allowedSettings.includes(key)) {
+      throw new ApiError(400, `Unknown privacy setting: ${key}`);
+    }
+    if (typeof value !== "boolean") {
+      throw new ApiError(400, `Privacy setting ${key} must be true or false`);
+    }
+    updateData[`privacy.${key}`] = value;
+  }
+
+  if (!Object.keys(updateData).length) {
+    throw new ApiError(400, `At least one setting (${allowedSettings.join(", ")}) is required`);
+  }
+
+  // 2. Update and return the settings
+  const user = await User.findByIdAndUpdate(
+    req.user?._id,
+    { $set: updateData },
+    { new: true }
+  ).select("privacy");
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user.privacy, "Privacy settings updated successfully"));
+});
+
+// Helper function to safely delete a stored file (failed deletions are queued for retry)
+const safeDeleteStoredAsset = async (asset) => {
+    if (!asset?.assetId) return;
+    try {
+        if (await deleteAssetOrQueue(asset)) {
+            console.log(`Successfully deleted ${asset.resourceType} from ${asset.provider} storage: ${asset.assetId}`);
+        }
+    } catch (error) {
+        console.error(`Failed to queue ${asset.resourceType} deletion (${asset.assetId}):`, error);
+    }
+};
+
+// Controller to update user avatar
+const updateUserAvatar = asyncHandler(async (req, res) => {
+  // 1. Get file path
+  const avatarLocalPath = req.file?.path;
+  if (!avatarLocalPath) {
+    throw new ApiError(400, "Avatar image file is missing");
+  }
+
+  // 2. Upload new avatar
+  const avatar = await uploadFile(avatarLocalPath, { resourceType: "image" });
+  if (!avatar?.url) {
+    throw new ApiError(500, "Error while uploading avatar image");
+  }
+
+  // 3. Update user document
+  const oldAvatarAsset = req.user?.avatarAsset; // Store old asset before updating
   const user = await User.findByIdAndUpdate(
     req.user?._id,
     {
       $set: {
-        coverImage: coverImage.url // Update with the new URL
+        avatar: avatar.url, // Update with the new URL
+        avatarAsset: avatar.asset
       }
     },
     { new: true }
-  ).select("-password -refreshToken");
+  ).select("-password");
+
+  if (!user) {
+    // If DB update fails, try to delete the newly uploaded avatar
+    await safeDeleteStoredAsset(avatar.asset);
+    throw new ApiError(500, "Failed to update avatar in database");
+  }
+
+  // 4. Delete old avatar from storage (AFTER successful DB update)
+  await safeDeleteStoredAsset(oldAvatarAsset);
+
+  // 5. Return response
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "Avatar updated successfully"));
+});
+
+// Controller to update user cover image
+const updateUserCoverImage = asyncHandler(async (req, res) => {
+  // 1. Get file path
+  const coverImageLocalPath = req.file?.path;
+  if (!coverImageLocalPath) {
+    throw new ApiError(400, "Cover image file is missing");
+  }
+
+  // 2. Upload new cover image
+  const coverImage = await uploadFile(coverImageLocalPath, { resourceType: "image" });
+  if (!coverImage?.url) {
+    throw new ApiError(500, "Error while uploading cover image");
+  }
+
+  // 3. Update user document
+  const oldCoverImageAsset = req.user?.coverImageAsset; // Store old asset
+  const user = await User.findByIdAndUpdate(
+    req.user?._id,
+    {
+      $set: {
+        coverImage: coverImage.url, // Update with the new URL
+        coverImageAsset: coverImage.asset
+      }
+    },
+    { new: true }
+  ).select("-password");
 
   if (!user) {
     // If DB update fails, try to delete the newly uploaded image
-    await safeDeleteFromCloudinary(coverImage.public_id);
+    await safeDeleteStoredAsset(coverImage.asset);
     throw new ApiError(500, "Failed to update cover image in database");
   }
 
-  // 4. Delete old cover image from Cloudinary (AFTER successful DB update)
-  if (oldCoverImageUrl && oldCoverImageUrl !== coverImage.url) {
-    const urlParts = oldCoverImageUrl.split('/');
-    const publicIdWithExtension = urlParts[urlParts.length - 1];
-    const oldCoverImagePublicId = publicIdWithExtension.split('.')[0];
-    await safeDeleteFromCloudinary(oldCoverImagePublicId);
-  }
+  // 4. Delete old cover image from storage (AFTER successful DB update)
+  await safeDeleteStoredAsset(oldCoverImageAsset);
 
   // 5. Return response
   return res
@@ -427,6 +1408,205 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, user, "Cover Image updated successfully"));
 });
 
+// Controller to delete the logged-in user's account (after a grace period)
+const deleteAccount = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+
+  // 1. Validate input
+  if (!password) {
+    throw new ApiError(400, "Password is required to delete your account");
+  }
+
+  // 2. Find user and re-confirm password
+  const user = await User.findById(req.user?._id);
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  await assertLoginAllowed({ userId: user._id, ip: req.ip });
+  const isPasswordCorrect = await user.isPasswordCorrect(password);
+  if (!isPasswordCorrect) {
+    await recordLoginFailure({ userId: user._id, ip: req.ip });
+    throw new ApiError(400, "Incorrect password");
+  }
+  await resetLoginFailures({ userId: user._id });
+
+  // 3. Schedule deletion; the purge job removes the account and its data afterwards
+  const graceDays = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+  user.deletionPurgeStartedAt = null;
+  await user.save({ validateBeforeSave: false });
+
+  // 4. Log out everywhere and stop personal access tokens
+  await Session.revokeMany({ user: user._id }, "account-deleted");
+  await PersonalAccessToken.revokeAllForUser(user._id);
+
+  // 5. Return response
+  return res
+    .status(200)
+    .clearCookie("accessToken", cookieOptions)
+    .clearCookie("refreshToken", cookieOptions)
+    .json(new ApiResponse(
+      200,
+      { deletionScheduledFor: user.deletionScheduledFor },
+      `Account scheduled for deletion. You can restore it within ${graceDays} days`
+    ));
+});
+
+// Controller to cancel a scheduled deletion during the grace period
+const restoreAccount = asyncHandler(async (req, res) => {
+  const { email, username, password } = req.body;
+
+  // 1. Validate input
+  if (!password) {
+    throw new ApiError(400, "Password is required");
+  }
+  if (!email && !username) {
+    throw new ApiError(400, "Username or email is required");
+  }
+
+  // 2. Find user and validate password; a locked-out IP is refused before the lookup
+  await assertLoginAllowed({ ip: req.ip });
+  const user = await User.findOne({
+    $or: [
+      { username: username?.toLowerCase() },
+      { email: email?.toLowerCase() }
+    ]
+  });
+
+  // Wrong credentials and accounts that can't be restored get the same answer,
+  // so this endpoint can't be used to probe passwords or account state
+  const restoreFailed = () => new ApiError(401, "Invalid credentials or the account cannot be restored");
+
+  if (!user) {
+    await recordLoginFailure({ ip: req.ip });
+    throw restoreFailed();
+  }
+
+  // Same throttle as loginUser, since this checks a password without being logged in
+  await assertLoginAllowed({ userId: user._id });
+  const isPasswordCorrect = await user.isPasswordCorrect(password);
+  if (!isPasswordCorrect) {
+    await recordLoginFailure({ userId: user._id, ip: req.ip });
+    throw restoreFailed();
+  }
+  await resetLoginFailures({ userId: user._id });
+
+  // 3. Only possible while the account still waits for the purge
+  const isRestorable = user.deletionScheduledFor
+    && user.deletionScheduledFor > new Date()
+    && !user.deletionPurgeStartedAt;
+  if (!isRestorable) {
+    throw restoreFailed();
+  }
+
+  user.deletionRequestedAt = null;
+  user.deletionScheduledFor = null;
+  await user.save({ validateBeforeSave: false });
+
+  // 4. Return response
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Account restored successfully. You can log in again"));
+});
+
+// Controller for admins to change another user's role
+const updateUserRole = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+
+  // 1. Validate input
+  if (!isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user ID");
+  }
+  if (!ROLES.includes(role)) {
+    throw new ApiError(400, `Role must be one of: ${ROLES.join(", ")}`);
+  }
+  if (userId === req.user?._id.toString()) {
+    throw new ApiError(400, "You cannot change your own role");
+  }
+
+  // 2. Update role
+  const user = await User.findByIdAndUpdate(
+    userId,
+    {
+      $set: { role }
+    },
+    { new: true }
+  ).select("username fullName avatar role");
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  // 3. Return updated user
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User role updated successfully"));
+});
+
+// Controller for admins to review account and IP lockouts
+const getLockoutEvents = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, userId, ip } = req.query;
+
+  const pageNumber = parseInt(page, 10);
+  const limitNumber = parseInt(limit, 10);
+
+  if (isNaN(pageNumber) || pageNumber < 1 || isNaN(limitNumber) || limitNumber < 1) {
+    throw new ApiError(400, "Invalid page or limit parameters");
+  }
+
+  const matchStage = {};
+  if (userId) {
+    if (!isValidObjectId(userId)) {
+      throw new ApiError(400, "Invalid user ID");
+    }
+    matchStage.user = new mongoose.Types.ObjectId(userId);
+  }
+  if (ip) {
+    matchStage.ip = ip;
+  }
+
+  const events = await LockoutEvent.aggregate([
+    { $match: matchStage },
+    { $sort: { createdAt: -1 } },
+    { $skip: (pageNumber - 1) * limitNumber },
+    { $limit: limitNumber },
+    {
+      $lookup: {
+        from: "users",
+        localField: "user",
+        foreignField: "_id",
+        as: "userDetails",
+        pipeline: [
+          {
+            $project: {
+              username: 1,
+              email: 1
+            }
+          }
+        ]
+      }
+    },
+    {
+      $addFields: {
+        userDetails: { $first: "$userDetails" }
+      }
+    }
+  ]);
+
+  const totalEvents = await LockoutEvent.countDocuments(matchStage);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(
+      200,
+      { events, totalEvents, page: pageNumber, limit: limitNumber, totalPages: Math.ceil(totalEvents / limitNumber) },
+      "Lockout events fetched successfully"
+    ));
+});
+
 // Controller to get user channel profile
 const getUserChannelProfile = asyncHandler(async (req, res) => {
   const { username } = req.params;
@@ -435,10 +1615,22 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Username is required");
   }
 
+  // Retired usernames resolve to the channel's current one
+  const resolved = await resolveUsername(username);
+  if (!resolved) {
+    throw new ApiError(404, "Channel not found");
+  }
+
+  // Channels that blocked the requesting user are hidden from them
+  if (await Block.isBlocked(resolved.userId, req.user?._id)) {
+    throw new ApiError(404, "Channel not found");
+  }
+
   const pipeline = [
     {
       $match: {
-        username: username.toLowerCase() // Case-insensitive match
+        _id: resolved.userId,
+        deletionScheduledFor: null // Accounts pending deletion are hidden
       }
     },
     {
@@ -471,16 +1663,42 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
         }
       }
     },
+    {
+      $addFields: {
+        // Privacy settings apply to everyone except the channel owner
+        isOwner: { $eq: ["$_id", req.user?._id ?? null] }
+      }
+    },
     {
       $project: {
         fullName: 1,
         username: 1,
         avatar: 1,
         coverImage: 1,
-        email: 1, // Consider if email should be public
+        bio: 1,
+        links: 1,
+        country: 1,
+        // Accounts without privacy settings get the schema default: email hidden
+        email: {
+          $cond: [
+            { $or: ["$isOwner", { $ne: [{ $ifNull: ["$privacy.hideEmail", true] }, true] }] },
+            "$email",
+            "$$REMOVE"
+          ]
+        },
+        privacy: {
+          $cond: ["$isOwner", "$privacy", "$$REMOVE"]
+        },
+        subscriptionsHidden: {
+          $and: [{ $not: ["$isOwner"] }, { $eq: ["$privacy.hideSubscriptions", true] }]
+        },
+        likedVideosHidden: {
+          $and: [{ $not: ["$isOwner"] }, { $eq: ["$privacy.hideLikedVideos", true] }]
+        },
         subscribersCount: 1,
         channelsSubscribedToCount: 1,
         isSubscribed: 1,
+        isOwner: 1,
         createdAt: 1,
         updatedAt: 1
       }
@@ -493,97 +1711,136 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
     throw new ApiError(404, "Channel not found");
   }
 
+  const profile = channel[0];
+  profile.countryName = getCountryName(profile.country);
+  profile.joined = formatJoinedDate(profile.createdAt);
+  // Tells clients that looked up a retired handle where the channel lives now
+  profile.redirectedFrom = resolved.redirectedFrom;
+
   return res
     .status(200)
-    .json(new ApiResponse(200, channel[0], "User channel profile fetched successfully"));
+    .json(new ApiResponse(200, profile, "User channel profile fetched successfully"));
 });
 
-// Controller to get user watch history
+// Controller to get user watch history, newest watched first with cursor pagination
 const getWatchHistory = asyncHandler(async (req, res) => {
+  const { cursor, limit = 20, q } = req.query;
+
   if (!req.user?._id) {
     throw new ApiError(401, "Unauthorized request");
   }
 
-  // TODO: Add pagination (page, limit)
+  // 1. Validate input
+  const limitNumber = parseInt(limit, 10);
+  if (isNaN(limitNumber) || limitNumber < 1 || limitNumber > 100) {
+    throw new ApiError(400, "limit must be between 1 and 100");
+  }
 
-  const userWithHistory = await User.aggregate([
-    {
-      $match: {
-        _id: new mongoose.Types.ObjectId(req.user._id)
-      }
-    },
-    {
-      $lookup: {
-        from: "videos",
-        localField: "watchHistory", // Assuming watchHistory stores video ObjectIds
-        foreignField: "_id",
-        as: "watchHistoryDetails",
-        pipeline: [
-          {
-            $match: { isPublished: true } // Only show published videos in history
-          },
-          {
-            $lookup: {
-              from: "users",
-              localField: "owner",
-              foreignField: "_id",
-              as: "ownerDetails",
-              pipeline: [
-                {
-                  $project: {
-                    username: 1,
-                    avatar: 1
-                  }
-                }
-              ]
-            }
-          },
-          {
-            $addFields: {
-              ownerDetails: { $first: "$ownerDetails" }
-            }
-          },
-          {
-            $project: { // Select necessary fields for history items
-                _id: 1,
-                videoFile: 1, // or use thumbnail
-                thumbnail: 1,
-                title: 1,
-                duration: 1,
-                views: 1,
-                createdAt: 1,
-                ownerDetails: 1
-            }
-          },
-          { $sort: { createdAt: -1 } } // Optional: sort videos within history
-        ]
-      }
-    },
-    {
-        $project: {
-            _id: 1,
-            watchHistory: "$watchHistoryDetails" // Rename field
-        }
-    }
-  ]);
+  // 2. Fetch one page (optionally filtered by video title)
+  const page = await listWatchHistory(req.user._id, {
+    cursor: cursor || null,
+    limit: limitNumber,
+    search: q?.trim() || ""
+  });
+
+  if (!page) {
+    throw new ApiError(400, "Invalid cursor");
+  }
 
-  const watchHistory = userWithHistory[0]?.watchHistory || [];
+  return res
+    .status(200)
+    .json(new ApiResponse(
+      200,
+      { ...page, isPaused: Boolean(req.user.isWatchHistoryPaused) },
+      "Watch History fetched successfully"
+    ));
+});
+
+// Controller to remove one video from the watch history
+const removeWatchHistoryEntry = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  if (!isValidObjectId(videoId)) {
+    throw new ApiError(400, "Invalid video ID");
+  }
+
+  const entry = await WatchHistory.findOneAndDelete({ user: req.user._id, video: videoId });
+  if (!entry) {
+    throw new ApiError(404, "Video not found in watch history");
+  }
 
   return res
     .status(200)
-    .json(new ApiResponse(200, watchHistory, "Watch History fetched successfully"));
+    .json(new ApiResponse(200, {}, "Video removed from watch history"));
 });
 
+// Controller to clear the whole watch history
+const clearWatchHistory = asyncHandler(async (req, res) => {
+  const { deletedCount } = await WatchHistory.deleteMany({ user: req.user._id });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { deletedCount }, "Watch history cleared"));
+});
+
+// Controller to pause or resume watch history recording
+const setWatchHistoryPaused = (isPaused) => asyncHandler(async (req, res) => {
+  await User.updateOne({ _id: req.user._id }, { $set: { isWatchHistoryPaused: isPaused } });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(
+      200,
+      { isPaused },
+      isPaused ? "Watch history recording paused" : "Watch history recording resumed"
+    ));
+});
+
+const pauseWatchHistory = setWatchHistoryPaused(true);
+const resumeWatchHistory = setWatchHistoryPaused(false);
+
 export {
   registerUser,
   loginUser,
+  verifyTwoFactorLogin,
+  getOidcLoginProviders,
+  startOidcLogin,
+  handleOidcCallback,
+  enrollTwoFactor,
+  verifyTwoFactorEnrollment,
+  disableTwoFactor,
   logoutUser,
+  logoutAllSessions,
+  getActiveSessions,
+  revokeSession,
+  createPersonalAccessToken,
+  getPersonalAccessTokens,
+  revokePersonalAccessToken,
+  requestDataExport,
+  getDataExport,
+  downloadDataExport,
   refreshAccessToken,
   changeCurrentPassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
   getCurrentUser,
   updateAccountDetails,
+  changeUsername,
+  getUsernameHistory,
+  updateChannelProfile,
+  updatePrivacySettings,
   updateUserAvatar,
   updateUserCoverImage,
+  updateUserRole,
+  deleteAccount,
+  restoreAccount,
+  getLockoutEvents,
   getUserChannelProfile,
-  getWatchHistory
+  getWatchHistory,
+  removeWatchHistoryEntry,
+  clearWatchHistory,
+  pauseWatchHistory,
+  resumeWatchHistory
 };
@@ -3,11 +3,57 @@ import { Video } from "../models/video.model.js"
 import { ApiError } from "../utils/ApiError.js"
 import { ApiResponse } from "../utils/ApiResponse.js"
 import { asyncHandler } from "../utils/asyncHandler.js"
-import { uploadOnCloudinary } from "../utils/cloudinary.js"
+import { uploadFile } from "../storage/index.js"
+import { manageableContentFilter } from "../policies/ownership.policy.js"
+import { canViewVideo, getVisibleVideoFilter } from "../policies/videoVisibility.policy.js"
+import { recordVideoView, startVideoView } from "../services/videoView.service.js"
+import { WatchProgress } from "../models/watchProgress.models.js"
+import { deleteVideoCascade } from "../services/videoDeletion.service.js"
+import { deleteAssetOrQueue } from "../services/assetDeletion.service.js"
+import { getScheduleFields, parsePublishAt, parseVisibility } from "../services/videoPublishing.service.js"
+import { normalizeSearchQuery } from "../services/search.service.js"
+import { recordSearch } from "../services/searchHistory.service.js"
+import {
+    assembleUpload,
+    claimUploadForFinalize,
+    completeUploadSession,
+    createUploadSession as startUploadSession,
+    deleteUploadSession,
+    describeUploadSession,
+    getOwnUploadSession,
+    releaseUploadSession,
+    storeChunk
+} from "../services/uploadSession.service.js"
+import { VIDEO_CATEGORIES, buildTaxonomyFilter, isValidCategory, normalizeTags } from "../utils/videoTaxonomy.js"
+import { ownerDetailsLookup } from "../utils/profile.js"
+import { withSignedMediaUrls } from "../services/videoMedia.service.js"
+
+
+// Reads `tags` and `category` from a publish/update request body; only provided fields are returned
+const parseTaxonomyFields = ({ tags, category }) => {
+    const fields = {};
+
+    if (tags !== undefined) {
+        try {
+            fields.tags = normalizeTags(tags);
+        } catch (error) {
+            throw new ApiError(400, error.message);
+        }
+    }
+
+    if (category !== undefined) {
+        if (category !== null && category !== "" && !isValidCategory(category)) {
+            throw new ApiError(400, `Invalid category. Valid categories: ${VIDEO_CATEGORIES.join(", ")}`);
+        }
+        fields.category = category || null;
+    }
 
+    return fields;
+};
 
-const getAllVideos = asyncHandler(async (req, res) => {
-    const { page = 1, limit = 10, query, sortBy = "createdAt", sortType = "desc", userId } = req.query;
+// Shared by getAllVideos and getVideosByCategory
+const listVideos = async (req, filters) => {
+    const { page = 1, limit = 10, query, sortBy, sortType = "desc", userId } = filters;
 
     // Convert page and limit to numbers, ensure they are positive integers
     const pageNumber = parseInt(page, 10);
@@ -19,6 +65,7 @@ const getAllVideos = asyncHandler(async (req, res) => {
 
     const pipeline = [];
     const matchStage = {};
+    const conditions = [];
 
     // Match by userId if provided
     if (userId) {
@@ -26,38 +73,39 @@ const getAllVideos = asyncHandler(async (req, res) => {
             throw new ApiError(400, "Invalid userId");
         }
         matchStage.owner = new mongoose.Types.ObjectId(userId);
-        // Allow owner to see their unpublished videos
-        if (!(req.user?._id && req.user._id.toString() === userId)) {
-            matchStage.isPublished = true;
-        }
-    } else {
-        // Default: only show published videos if no specific user is requested
-        matchStage.isPublished = true;
     }
 
-    // Match by search query if provided
-    if (query) {
-        matchStage.$or = [
-            { title: { $regex: query, $options: "i" } },
-            { description: { $regex: query, $options: "i" } }
-        ];
+    // Owners browsing their own channel see every video; everyone else only listed ones
+    // (public, plus subscribers-only videos of channels they subscribe to)
+    const isOwnChannel = Boolean(userId && req.user?._id && req.user._id.toString() === userId);
+    if (!isOwnChannel) {
+        conditions.push(await getVisibleVideoFilter(req.user));
+    }
+
+    // Match by tags, category and duration if provided
+    Object.assign(matchStage, buildTaxonomyFilter(filters));
+
+    // Match by search query if provided, through the same text index as /api/v1/search
+    const searchQuery = query ? normalizeSearchQuery(query) : null;
+    if (searchQuery) {
+        matchStage.$text = { $search: searchQuery };
+    }
+    if (conditions.length) {
+        matchStage.$and = conditions;
     }
 
-    // Add the combined match stage
+    // Add the combined match stage ($text only works in the first stage)
     if (Object.keys(matchStage).length > 0) {
         pipeline.push({ $match: matchStage });
     }
 
+    if (searchQuery) {
+        pipeline.push({ $addFields: { score: { $meta: "textScore" } } });
+    }
+
     // Add lookup stages
     pipeline.push(
-        {
-            $lookup: {
-                from: "users",
-                localField: "owner",
-                foreignField: "_id",
-                as: "ownerDetails"
-            }
-        },
+        ownerDetailsLookup(),
         {
             $lookup: {
                 from: "likes",
@@ -74,16 +122,18 @@ const getAllVideos = asyncHandler(async (req, res) => {
         }
     )
 
-    // Define valid sort fields to prevent arbitrary field sorting
-    const validSortFields = ["createdAt", "views", "duration"];
-    const sortField = validSortFields.includes(sortBy) ? sortBy : "createdAt";
+    // Define valid sort fields to prevent arbitrary field sorting.
+    // Searches are ranked by relevance unless another order is asked for.
+    const validSortFields = ["createdAt", "views", "duration", ...(searchQuery ? ["relevance"] : [])];
+    const defaultSortField = searchQuery ? "relevance" : "createdAt";
+    const sortField = validSortFields.includes(sortBy) ? sortBy : defaultSortField;
     const sortOrder = sortType === "desc" ? -1 : 1;
 
     // Add sorting
     pipeline.push({
-        $sort: {
-            [sortField]: sortOrder
-        }
+        $sort: sortField === "relevance"
+            ? { score: -1, _id: -1 }
+            : { [sortField]: sortOrder }
     });
 
     // Add pagination using calculated numbers
@@ -97,47 +147,203 @@ const getAllVideos = asyncHandler(async (req, res) => {
     );
 
     const videos = await Video.aggregate(pipeline)
+    return await Promise.all(videos.map(withSignedMediaUrls))
+}
+
+const getAllVideos = asyncHandler(async (req, res) => {
+    const videos = await listVideos(req, req.query)
+
+    // Remember what signed-in users search for (first page only, paging is not a new search)
+    if (req.query.query && req.user?._id && parseInt(req.query.page ?? 1, 10) === 1) {
+        await recordSearch(req.user._id, req.query.query)
+    }
 
     return res.status(200).json(
         new ApiResponse(200, videos, "Videos fetched successfully")
     )
 })
 
-const publishAVideo = asyncHandler(async (req, res) => {
-    const { title, description } = req.body
+const getVideoCategories = asyncHandler(async (req, res) => {
+    return res.status(200).json(
+        new ApiResponse(200, VIDEO_CATEGORIES, "Video categories fetched successfully")
+    )
+})
+
+const getVideosByCategory = asyncHandler(async (req, res) => {
+    const { category } = req.params
+
+    if (!isValidCategory(category)) {
+        throw new ApiError(404, "Category not found")
+    }
+
+    const videos = await listVideos(req, { ...req.query, category })
+
+    return res.status(200).json(
+        new ApiResponse(200, videos, "Videos fetched successfully")
+    )
+})
+
+// Most used tags across the videos the user can browse, optionally within one category
+const getPopularTags = asyncHandler(async (req, res) => {
+    const { limit = 20, category } = req.query
+
+    const limitNumber = parseInt(limit, 10)
+    if (isNaN(limitNumber) || limitNumber < 1 || limitNumber > 100) {
+        throw new ApiError(400, "limit must be between 1 and 100")
+    }
+
+    const tags = await Video.aggregate([
+        { $match: await getVisibleVideoFilter(req.user) },
+        { $match: { tags: { $ne: [] }, ...buildTaxonomyFilter({ category }) } },
+        { $unwind: "$tags" },
+        {
+            $group: {
+                _id: "$tags",
+                videoCount: { $sum: 1 },
+                totalViews: { $sum: "$views" }
+            }
+        },
+        { $sort: { videoCount: -1, totalViews: -1, _id: 1 } },
+        { $limit: limitNumber },
+        { $project: { _id: 0, tag: "$_id", videoCount: 1, totalViews: 1 } }
+    ])
+
+    return res.status(200).json(
+        new ApiResponse(200, tags, "Popular tags fetched successfully")
+    )
+})
+
+// Validates the metadata sent with a new video (title, description, visibility, schedule, tags, category)
+const parsePublishFields = (body) => {
+    const { title, description } = body
 
     if (!title?.trim() || !description?.trim()) {
         throw new ApiError(400, "Title and description are required")
     }
 
-    // Get video and thumbnail files
-    const videoLocalPath = req.files?.videoFile?.[0]?.path
-    const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path
+    const visibility = body.visibility !== undefined ? parseVisibility(body.visibility) : "public"
+    const taxonomyFields = parseTaxonomyFields(body)
 
-    if (!videoLocalPath) {
-        throw new ApiError(400, "Video file is required")
-    }
+    // Optional go-live time; the video stays private until the scheduler publishes it
+    const publishAt = body.publishAt !== undefined ? parsePublishAt(body.publishAt) : null
+    const visibilityFields = publishAt ? getScheduleFields(publishAt, visibility) : { visibility }
 
-    // Upload to cloudinary
-    const videoFile = await uploadOnCloudinary(videoLocalPath)
-    const thumbnail = await uploadOnCloudinary(thumbnailLocalPath)
+    return { title, description, publishAt, fields: { ...taxonomyFields, ...visibilityFields } }
+}
+
+// Uploads the files and creates the video. Shared by direct and resumable uploads.
+const createVideo = async (owner, { title, description, fields }, { videoLocalPath, thumbnailLocalPath }) => {
+    // Upload to storage
+    const videoFile = await uploadFile(videoLocalPath, { resourceType: "video" })
+    const thumbnail = await uploadFile(thumbnailLocalPath, { resourceType: "image" })
 
     if (!videoFile) {
-        throw new ApiError(500, "Failed to upload video to cloudinary")
+        await deleteAssetOrQueue(thumbnail?.asset)
+        throw new ApiError(500, "Failed to upload video file")
     }
 
     // Create video
-    const video = await Video.create({
+    return Video.create({
         title,
         description,
         videoFile: videoFile.url,
+        videoFileAsset: videoFile.asset,
         thumbnail: thumbnail?.url || "",
-        duration: videoFile.duration,
-        owner: req.user?._id
+        thumbnailAsset: thumbnail?.asset || null,
+        duration: videoFile.duration ?? 0, // providers that can't probe media don't report it
+        owner,
+        ...fields
     })
+}
+
+const publishAVideo = asyncHandler(async (req, res) => {
+    const publishFields = parsePublishFields(req.body)
+
+    // Get video and thumbnail files
+    const videoLocalPath = req.files?.videoFile?.[0]?.path
+    const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path
+
+    if (!videoLocalPath) {
+        throw new ApiError(400, "Video file is required")
+    }
+
+    const video = await createVideo(req.user?._id, publishFields, { videoLocalPath, thumbnailLocalPath })
+
+    return res.status(201).json(
+        new ApiResponse(201, video, publishFields.publishAt ? "Video scheduled successfully" : "Video published successfully")
+    )
+})
+
+// Resumable uploads: create a session, PUT the chunks, check progress, then finalize
+const createUploadSession = asyncHandler(async (req, res) => {
+    const session = await startUploadSession(req.user._id, req.body)
+
+    return res.status(201).json(
+        new ApiResponse(201, describeUploadSession(session), "Upload session created")
+    )
+})
+
+const getUploadSession = asyncHandler(async (req, res) => {
+    const session = await getOwnUploadSession(req.params.uploadId, req.user._id)
+
+    return res.status(200).json(
+        new ApiResponse(200, describeUploadSession(session), "Upload session fetched successfully")
+    )
+})
+
+// The raw chunk bytes are the request body; X-Chunk-Checksum carries their hex SHA-256
+const uploadChunk = asyncHandler(async (req, res) => {
+    const { uploadId, index } = req.params
+
+    const session = await getOwnUploadSession(uploadId, req.user._id)
+    await storeChunk(session, index, req.body, req.get("X-Chunk-Checksum"))
+
+    const updatedSession = await getOwnUploadSession(uploadId, req.user._id)
+
+    return res.status(200).json(
+        new ApiResponse(200, describeUploadSession(updatedSession), `Chunk ${index} received`)
+    )
+})
+
+// Takes the same fields as publishAVideo (and an optional thumbnail file) and publishes
+// the assembled upload through the same flow
+const completeUpload = asyncHandler(async (req, res) => {
+    const publishFields = parsePublishFields(req.body)
+
+    const session = await claimUploadForFinalize(
+        await getOwnUploadSession(req.params.uploadId, req.user._id)
+    )
+
+    let video
+    try {
+        const videoLocalPath = await assembleUpload(session)
+        video = await createVideo(req.user._id, publishFields, {
+            videoLocalPath,
+            thumbnailLocalPath: req.file?.path
+        })
+    } catch (error) {
+        await releaseUploadSession(session)
+        throw error
+    }
+
+    await completeUploadSession(session, video._id)
 
     return res.status(201).json(
-        new ApiResponse(201, video, "Video published successfully")
+        new ApiResponse(201, video, publishFields.publishAt ? "Video scheduled successfully" : "Video published successfully")
+    )
+})
+
+const cancelUpload = asyncHandler(async (req, res) => {
+    const session = await getOwnUploadSession(req.params.uploadId, req.user._id)
+
+    if (session.status === "finalizing") {
+        throw new ApiError(409, "Upload is being finalized", [{ code: "UPLOAD_NOT_ACTIVE" }])
+    }
+
+    await deleteUploadSession(session)
+
+    return res.status(200).json(
+        new ApiResponse(200, {}, "Upload session deleted")
     )
 })
 
@@ -155,34 +361,7 @@ const getVideoById = asyncHandler(async (req, res) => {
                 _id: new mongoose.Types.ObjectId(videoId)
             }
         },
-        // Add stages to check publish status and ownership
-        {
-            $addFields: {
-                isOwner: {
-                    $cond: {
-                        if: { $eq: ["$owner", new mongoose.Types.ObjectId(req.user?._id)] },
-                        then: true,
-                        else: false
-                    }
-                }
-            }
-        },
-        {
-            $match: {
-                $or: [
-                    { isPublished: true },
-                    { isOwner: true } // Owner can see unpublished videos
-                ]
-            }
-        },
-        {
-            $lookup: {
-                from: "users",
-                localField: "owner",
-                foreignField: "_id",
-                as: "ownerDetails"
-            }
-        },
+        ownerDetailsLookup(),
         {
             $lookup: {
                 from: "likes",
@@ -208,61 +387,107 @@ const getVideoById = asyncHandler(async (req, res) => {
 
     const video = await Video.aggregate(videoPipeline);
 
-    if (!video?.length) {
+    // Visibility: unlisted is fine by ID, private is owner-only, subscribers needs a subscription
+    if (!video?.length || !(await canViewVideo(req.user, video[0]))) {
         throw new ApiError(404, "Video not found or access denied")
     }
 
+    // Where the current user left off; finished videos start over from the beginning
+    const progress = req.user?._id
+        ? await WatchProgress.findOne({ user: req.user._id, video: videoId }).select("position completed").lean()
+        : null
+    video[0].resumeAt = progress && !progress.completed ? progress.position : 0
+
     return res.status(200).json(
-        new ApiResponse(200, video[0], "Video fetched successfully")
+        new ApiResponse(200, await withSignedMediaUrls(video[0]), "Video fetched successfully")
     )
 })
 
 const updateVideo = asyncHandler(async (req, res) => {
     const { videoId } = req.params
-    const { title, description } = req.body
+    const { title, description, publishAt, visibility } = req.body
 
     if (!isValidObjectId(videoId)) {
         throw new ApiError(400, "Invalid video ID")
     }
 
-    if (!title?.trim() && !description?.trim() && !req.files?.thumbnail) {
+    const taxonomyFields = parseTaxonomyFields(req.body)
+
+    if (
+        !title?.trim() && !description?.trim() && !req.file &&
+        publishAt === undefined && visibility === undefined && !Object.keys(taxonomyFields).length
+    ) {
         throw new ApiError(400, "At least one field is required to update")
     }
 
-    const updateFields = {}
+    const updateFields = { ...taxonomyFields }
 
     if (title?.trim()) updateFields.title = title
     if (description?.trim()) updateFields.description = description
 
-    // Update thumbnail if provided
-    if (req.files?.thumbnail) {
-        const thumbnailLocalPath = req.files.thumbnail[0].path
-        const thumbnail = await uploadOnCloudinary(thumbnailLocalPath)
-
-        if (thumbnail?.url) {
-            updateFields.thumbnail = thumbnail.url
-        }
+    // A schedule makes the video private until publishAt, then `visibility` (default public).
+    // Setting a visibility without a schedule applies it now and drops any pending schedule.
+    const requestedVisibility = visibility !== undefined ? parseVisibility(visibility) : undefined
+    const scheduledAt = publishAt !== undefined ? parsePublishAt(publishAt) : undefined
+
+    if (scheduledAt) {
+        Object.assign(updateFields, getScheduleFields(scheduledAt, requestedVisibility))
+    } else if (scheduledAt === null || requestedVisibility) {
+        updateFields.publishAt = null
+        updateFields.scheduledVisibility = null
+        if (requestedVisibility) updateFields.visibility = requestedVisibility
     }
 
     if (!req.user?._id) {
         throw new ApiError(401, "Unauthorized request");
     }
 
-    const video = await Video.findOneAndUpdate(
+    // Only private videos can be (re)scheduled
+    if (updateFields.publishAt) {
+        const existingVideo = await Video.findOne({
+            _id: videoId,
+            ...manageableContentFilter(req.user)
+        }).select("visibility")
+
+        if (existingVideo && existingVideo.visibility !== "private") {
+            throw new ApiError(400, "Video is already live. Make it private before scheduling")
+        }
+    }
+
+    // Update thumbnail if provided (only once the request is known to be valid)
+    let thumbnail = null
+    if (req.file) {
+        thumbnail = await uploadFile(req.file.path, { resourceType: "image" })
+
+        if (thumbnail?.url) {
+            updateFields.thumbnail = thumbnail.url
+            updateFields.thumbnailAsset = thumbnail.asset
+        }
+    }
+
+    // The previous version is returned, so its thumbnail can be deleted once replaced
+    const previousVideo = await Video.findOneAndUpdate(
         {
             _id: videoId,
-            owner: req.user._id // Use req.user._id directly after check
+            ...manageableContentFilter(req.user), // Owner, or a moderator
+            ...(updateFields.publishAt && { visibility: "private" })
         },
         {
             $set: updateFields
-        },
-        { new: true }
+        }
     )
 
-    if (!video) {
+    if (!previousVideo) {
+        await deleteAssetOrQueue(thumbnail?.asset)
         throw new ApiError(404, "Video not found or unauthorized")
     }
 
+    if (updateFields.thumbnailAsset) {
+        await deleteAssetOrQueue(previousVideo.thumbnailAsset)
+    }
+
+    const video = await Video.findById(videoId)
+
     return res.status(200).json(
         new ApiResponse(200, video, "Video updated successfully")
     )
@@ -279,15 +504,18 @@ const deleteVideo = asyncHandler(async (req, res) => {
         throw new ApiError(401, "Unauthorized request");
     }
 
-    const video = await Video.findOneAndDelete({
+    const video = await Video.findOne({
         _id: videoId,
-        owner: req.user._id // Use req.user._id directly after check
+        ...manageableContentFilter(req.user) // Owner, or a moderator
     })
 
     if (!video) {
         throw new ApiError(404, "Video not found or unauthorized")
     }
 
+    // Removes the remote files, comments, likes, playlist entries and watch history too
+    await deleteVideoCascade(video)
+
     return res.status(200).json(
         new ApiResponse(200, {}, "Video deleted successfully")
     )
@@ -306,26 +534,262 @@ const togglePublishStatus = asyncHandler(async (req, res) => {
 
     const video = await Video.findOne({
         _id: videoId,
-        owner: req.user._id // Use req.user._id directly after check
+        ...manageableContentFilter(req.user) // Owner, or a moderator
     })
 
     if (!video) {
         throw new ApiError(404, "Video not found or unauthorized")
     }
 
-    video.isPublished = !video.isPublished
+    // Private videos become public; public, unlisted and subscribers-only ones become private
+    video.visibility = video.visibility === "private" ? "public" : "private"
+    video.publishAt = null // A manual toggle replaces any pending schedule
+    video.scheduledVisibility = null
     await video.save()
 
     return res.status(200).json(
-        new ApiResponse(200, video, `Video ${video.isPublished ? 'published' : 'unpublished'} successfully`)
+        new ApiResponse(200, video, `Video ${video.visibility === "public" ? 'published' : 'unpublished'} successfully`)
+    )
+})
+
+// Called by the player when playback starts. Returns the token recordView needs; the view
+// only counts once the watch threshold has passed in real time since then.
+const startView = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video ID")
+    }
+
+    const video = await Video.findById(videoId).select("owner duration visibility")
+
+    if (!(await canViewVideo(req.user, video))) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    const result = startVideoView({
+        video,
+        userId: req.user?._id,
+        ip: req.ip,
+        userAgent: req.get("User-Agent")
+    })
+
+    return res.status(200).json(
+        new ApiResponse(200, result, "View started")
+    )
+})
+
+// Called by the player once the viewer has watched for a while, with the token from
+// startView. Works for anonymous viewers too, who are told apart by IP and user agent.
+const recordView = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { viewToken, watchedSeconds } = req.body
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video ID")
+    }
+
+    if (!viewToken) {
+        throw new ApiError(400, "viewToken is required")
+    }
+
+    // Optional: lets the player report less than the elapsed time, e.g. after pausing
+    const reported = watchedSeconds === undefined ? null : Number(watchedSeconds)
+    if (reported !== null && (!Number.isFinite(reported) || reported < 0)) {
+        throw new ApiError(400, "watchedSeconds must be a non-negative number")
+    }
+
+    const video = await Video.findById(videoId).select("owner duration views visibility")
+
+    if (!(await canViewVideo(req.user, video))) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    const result = await recordVideoView({
+        video,
+        viewToken,
+        userId: req.user?._id,
+        ip: req.ip,
+        userAgent: req.get("User-Agent"),
+        reportedSeconds: reported
+    })
+
+    return res.status(200).json(
+        new ApiResponse(200, result, result.counted ? "View recorded" : "View not counted")
+    )
+})
+
+// Called periodically by the player with the current playback position
+const updateWatchProgress = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { position } = req.body
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid video ID")
+    }
+
+    const positionSeconds = Number(position)
+    if (!Number.isFinite(positionSeconds) || positionSeconds < 0) {
+        throw new ApiError(400, "position must be a non-negative number of seconds")
+    }
+
+    const video = await Video.findById(videoId).select("owner duration visibility")
+
+    if (!(await canViewVideo(req.user, video))) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    // Clamp to the video length and derive how much of it has been watched
+    const clampedPosition = video.duration > 0 ? Math.min(positionSeconds, video.duration) : positionSeconds
+    const completionPercent = video.duration > 0
+        ? Math.round((clampedPosition / video.duration) * 1000) / 10
+        : 0
+    const completeAtPercent = Number(process.env.WATCH_COMPLETE_PERCENT) || 95
+
+    const progress = await WatchProgress.findOneAndUpdate(
+        { user: req.user._id, video: videoId },
+        {
+            $set: {
+                position: clampedPosition,
+                completionPercent,
+                completed: completionPercent >= completeAtPercent,
+                lastWatchedAt: new Date()
+            }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    )
+
+    return res.status(200).json(
+        new ApiResponse(200, progress, "Watch progress updated")
+    )
+})
+
+// Partially watched videos, most recently watched first
+const getContinueWatching = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10 } = req.query
+
+    const pageNumber = parseInt(page, 10)
+    const limitNumber = parseInt(limit, 10)
+
+    if (isNaN(pageNumber) || pageNumber < 1 || isNaN(limitNumber) || limitNumber < 1) {
+        throw new ApiError(400, "Invalid page or limit parameters")
+    }
+
+    // Videos the user can still see; unlisted ones were opened by ID, so they stay
+    const visibleVideoFilter = await getVisibleVideoFilter(req.user, { includeUnlisted: true, includeOwn: true })
+
+    const videos = await WatchProgress.aggregate([
+        {
+            $match: {
+                user: new mongoose.Types.ObjectId(req.user._id),
+                completed: false,
+                position: { $gt: 0 }
+            }
+        },
+        {
+            $sort: { lastWatchedAt: -1 }
+        },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "video",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    {
+                        $match: visibleVideoFilter
+                    },
+                    {
+                        $lookup: {
+                            from: "users",
+                            localField: "owner",
+                            foreignField: "_id",
+                            as: "ownerDetails",
+                            pipeline: [
+                                {
+                                    $project: {
+                                        username: 1,
+                                        avatar: 1
+                                    }
+                                }
+                            ]
+                        }
+                    },
+                    {
+                        $addFields: {
+                            ownerDetails: { $first: "$ownerDetails" }
+                        }
+                    },
+                    {
+                        $project: {
+                            _id: 1,
+                            thumbnail: 1,
+                            title: 1,
+                            duration: 1,
+                            views: 1,
+                            visibility: 1,
+                            thumbnailAsset: 1, // for signed URLs, not returned
+                            createdAt: 1,
+                            ownerDetails: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                video: { $first: "$video" }
+            }
+        },
+        {
+            $match: {
+                video: { $ne: null } // Skip videos that were deleted or unpublished since
+            }
+        },
+        {
+            $skip: (pageNumber - 1) * limitNumber
+        },
+        {
+            $limit: limitNumber
+        },
+        {
+            $replaceRoot: {
+                newRoot: {
+                    $mergeObjects: [
+                        "$video",
+                        {
+                            resumeAt: "$position",
+                            completionPercent: "$completionPercent",
+                            lastWatchedAt: "$lastWatchedAt"
+                        }
+                    ]
+                }
+            }
+        }
+    ])
+
+    return res.status(200).json(
+        new ApiResponse(200, await Promise.all(videos.map(withSignedMediaUrls)), "Continue watching list fetched successfully")
     )
 })
 
 export {
     getAllVideos,
+    getVideoCategories,
+    getVideosByCategory,
+    getPopularTags,
     publishAVideo,
+    createUploadSession,
+    getUploadSession,
+    uploadChunk,
+    completeUpload,
+    cancelUpload,
     getVideoById,
     updateVideo,
     deleteVideo,
-    togglePublishStatus
+    togglePublishStatus,
+    recordView,
+    startView,
+    updateWatchProgress,
+    getContinueWatching
 }
@@ -2,6 +2,7 @@
 import dotenv from "dotenv";
 import connectDB from "./db/index.js";
 import { app } from "./app.js";
+import { startJobs } from "./jobs/index.js";
 
 
 dotenv.config({
@@ -13,6 +14,7 @@ connectDB()
         app.listen(process.env.PORT || 8000, () => {
             console.log(`Server is running at port ${process.env.PORT}`);
         });
+        startJobs();
     })
     .catch((err) => { 
         console.error("MONGO db connection failed!!! ", err);
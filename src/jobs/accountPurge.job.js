@@ -0,0 +1,23 @@
+import { purgeExpiredAccounts } from "../services/accountDeletion.service.js";
+
+const runAccountPurge = async () => {
+    try {
+        const purgedCount = await purgeExpiredAccounts();
+        if (purgedCount) {
+            console.log(`Account purge: removed ${purgedCount} account(s) past their grace period`);
+        }
+    } catch (error) {
+        console.error("Account purge job failed:", error);
+    }
+};
+
+const startAccountPurgeJob = () => {
+    const intervalMinutes = Number(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES) || 60;
+
+    runAccountPurge();
+    const timer = setInterval(runAccountPurge, intervalMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+export { startAccountPurgeJob }
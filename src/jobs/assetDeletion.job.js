@@ -0,0 +1,23 @@
+import { retryPendingAssetDeletions } from "../services/assetDeletion.service.js";
+
+const runAssetDeletionRetries = async () => {
+    try {
+        const deletedCount = await retryPendingAssetDeletions();
+        if (deletedCount) {
+            console.log(`Asset deletion: removed ${deletedCount} previously failed remote file(s)`);
+        }
+    } catch (error) {
+        console.error("Asset deletion job failed:", error);
+    }
+};
+
+const startAssetDeletionJob = () => {
+    const intervalMinutes = Number(process.env.ASSET_DELETION_RETRY_INTERVAL_MINUTES) || 15;
+
+    runAssetDeletionRetries();
+    const timer = setInterval(runAssetDeletionRetries, intervalMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+export { startAssetDeletionJob }
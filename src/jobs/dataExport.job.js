@@ -0,0 +1,28 @@
+import { cleanUpExports, processQueuedExports } from "../services/dataExport.service.js";
+
+let isRunning = false;
+
+// Safe to call at any time (e.g. right after an export is requested); overlapping runs are skipped
+const runDataExports = async () => {
+    if (isRunning) return;
+    isRunning = true;
+    try {
+        await cleanUpExports();
+        await processQueuedExports();
+    } catch (error) {
+        console.error("Data export job failed:", error);
+    } finally {
+        isRunning = false;
+    }
+};
+
+const startDataExportJob = () => {
+    const intervalSeconds = Number(process.env.DATA_EXPORT_INTERVAL_SECONDS) || 60;
+
+    runDataExports();
+    const timer = setInterval(runDataExports, intervalSeconds * 1000);
+    timer.unref();
+    return timer;
+};
+
+export { startDataExportJob, runDataExports }
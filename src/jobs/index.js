@@ -0,0 +1,30 @@
+import { startAccountPurgeJob } from "./accountPurge.job.js";
+import { startDataExportJob } from "./dataExport.job.js";
+import { startAssetDeletionJob } from "./assetDeletion.job.js";
+import { startVideoPublishJob } from "./videoPublish.job.js";
+import { startUploadCleanupJob } from "./uploadCleanup.job.js";
+import { migrateLegacyWatchHistory } from "../services/watchHistory.service.js";
+import { migrateLegacyVideoVisibility } from "../services/videoPublishing.service.js";
+import { migrateLegacyAssetReferences } from "../services/storageMigration.service.js";
+import { migrateLegacyEmailVerification } from "../services/emailVerificationMigration.service.js";
+import { migrateLegacyTwoFactorSecrets } from "../services/twoFactorMigration.service.js";
+import { migrateLegacyPendingDeletions } from "../services/assetDeletion.service.js";
+
+// Background work that runs inside the API process once the database is connected
+const startJobs = () => {
+    startAccountPurgeJob();
+    startDataExportJob();
+    startAssetDeletionJob();
+    startVideoPublishJob();
+    startUploadCleanupJob();
+
+    // One-off data migrations; each is a no-op once there is nothing left to migrate
+    migrateLegacyWatchHistory().catch((error) => console.error("Watch history migration failed:", error));
+    migrateLegacyVideoVisibility().catch((error) => console.error("Video visibility migration failed:", error));
+    migrateLegacyAssetReferences().catch((error) => console.error("Media asset reference migration failed:", error));
+    migrateLegacyEmailVerification().catch((error) => console.error("Email verification migration failed:", error));
+    migrateLegacyTwoFactorSecrets().catch((error) => console.error("Two-factor secret migration failed:", error));
+    migrateLegacyPendingDeletions().catch((error) => console.error("Pending asset deletion migration failed:", error));
+};
+
+export { startJobs }
@@ -0,0 +1,23 @@
+import { cleanupExpiredUploadSessions } from "../services/uploadSession.service.js";
+
+const runUploadCleanup = async () => {
+    try {
+        const removedCount = await cleanupExpiredUploadSessions();
+        if (removedCount) {
+            console.log(`Upload cleanup: removed ${removedCount} expired upload session(s)`);
+        }
+    } catch (error) {
+        console.error("Upload cleanup job failed:", error);
+    }
+};
+
+const startUploadCleanupJob = () => {
+    const intervalMinutes = Number(process.env.UPLOAD_CLEANUP_INTERVAL_MINUTES) || 30;
+
+    runUploadCleanup();
+    const timer = setInterval(runUploadCleanup, intervalMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+export { startUploadCleanupJob }
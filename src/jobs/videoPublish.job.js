@@ -0,0 +1,23 @@
+import { publishDueVideos } from "../services/videoPublishing.service.js";
+
+const runVideoPublishing = async () => {
+    try {
+        const publishedCount = await publishDueVideos();
+        if (publishedCount) {
+            console.log(`Scheduled publishing: published ${publishedCount} video(s)`);
+        }
+    } catch (error) {
+        console.error("Scheduled publishing job failed:", error);
+    }
+};
+
+const startVideoPublishJob = () => {
+    const intervalSeconds = Number(process.env.VIDEO_PUBLISH_INTERVAL_SECONDS) || 30;
+
+    runVideoPublishing();
+    const timer = setInterval(runVideoPublishing, intervalSeconds * 1000);
+    timer.unref();
+    return timer;
+};
+
+export { startVideoPublishJob }
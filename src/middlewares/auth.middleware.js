@@ -1,11 +1,50 @@
 import { asyncHandler } from '../utils/asyncHandler.js'
 import { ApiError } from '../utils/ApiError.js'
 import { User } from '../models/user.models.js'
+import { Session } from '../models/session.models.js'
 import jwt from 'jsonwebtoken'
+import { isValidObjectId } from 'mongoose'
+import { ROLES, getRolePermissions, TOKEN_ENABLED_PATHS, TOKEN_SCOPES } from '../utils/permissions.js'
+import { PERSONAL_ACCESS_TOKEN_PREFIX, PersonalAccessToken } from '../models/personalAccessToken.models.js'
+
+// Personal access tokens: only accepted in the token-enabled API areas, where each route
+// checks the token's scopes with requireScope
+const authenticatePersonalAccessToken = async (req, token) => {
+  if (!TOKEN_ENABLED_PATHS.includes(req.baseUrl)) {
+    throw new ApiError(403, "Personal access tokens cannot be used for this endpoint")
+  }
+
+  const accessToken = await PersonalAccessToken.findActiveByToken(token)
+
+  if (!accessToken) {
+    throw new ApiError(401, "Invalid, expired or revoked personal access token")
+  }
+
+  const user = await User.findById(accessToken.user).select("-password")
+
+  if (!user || user.deletionScheduledFor) {
+    throw new ApiError(401, "Invalid personal access token")
+  }
+
+  // Record usage at most once a minute to keep writes down
+  if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt.getTime() > 60 * 1000) {
+    await PersonalAccessToken.updateOne({ _id: accessToken._id }, { $set: { lastUsedAt: new Date() } })
+  }
+
+  req.user = user;
+  req.personalAccessToken = accessToken;
+};
 
 export const verifyJWT = asyncHandler(async (req, res, next) => {
   try {
-    const token = req.cookies?.accessToken || req.headers?.("Authorization")?.replace("Bearer", "")
+    const bearerToken = req.header("Authorization")?.replace(/^Bearer\s+/i, "").trim()
+
+    if (bearerToken?.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX)) {
+      await authenticatePersonalAccessToken(req, bearerToken)
+      return next();
+    }
+
+    const token = req.cookies?.accessToken || bearerToken
 
     if (!token) {
       throw new ApiError(401, "Unauthorized request")
@@ -13,16 +52,103 @@ export const verifyJWT = asyncHandler(async (req, res, next) => {
 
     const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET)
 
-    const user = await User.findById(decodedToken?._id).select("-password -refreshToken")
+    const user = await User.findById(decodedToken?._id).select("-password")
 
     if (!user) {
       throw new ApiError(401, "Invalid Access Token")
     }
 
+    // Access tokens die with their session (logout, "log out everywhere", token reuse)
+    const session = isValidObjectId(decodedToken?.sid) && await Session.exists({
+      _id: decodedToken.sid,
+      user: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+
+    if (!session) {
+      throw new ApiError(401, "Session has expired or was revoked")
+    }
+
     req.user = user;
+    req.sessionId = decodedToken.sid;
     next();
   } catch (error) {
+    // Keep deliberate errors (e.g. 403 for a missing token scope) as they are
+    if (error instanceof ApiError) {
+      throw error
+    }
     throw new ApiError(401, error?.message || "Invalid Access Token")
 
   }
 });
+
+// For endpoints open to anonymous visitors: requests without credentials pass through with no
+// req.user, while requests that do send a token are still verified like verifyJWT does
+export const optionalJWT = (req, res, next) => {
+  if (!req.cookies?.accessToken && !req.header("Authorization")) {
+    return next();
+  }
+  return verifyJWT(req, res, next);
+};
+
+// Must run after verifyJWT: blocks content creation until the email address is confirmed
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user?.isEmailVerified) {
+    return next(new ApiError(403, "Please verify your email address to continue"))
+  }
+  next();
+};
+
+// Must run after verifyJWT (or optionalJWT). The scope a personal access token needs for this
+// route; logged-in sessions aren't limited by scopes.
+export const requireScope = (scope) => {
+  if (!TOKEN_SCOPES.includes(scope)) {
+    throw new Error(`Unknown token scope "${scope}"`)
+  }
+
+  const middleware = (req, res, next) => {
+    if (req.personalAccessToken && !req.personalAccessToken.scopes.includes(scope)) {
+      return next(new ApiError(403, `Personal access token is missing the "${scope}" scope`))
+    }
+    next();
+  };
+  middleware.tokenScope = scope;
+  return middleware;
+};
+
+// Call at the end of a token-enabled routes file: every route must declare its scope with
+// requireScope, so a route added without one stops the app from starting instead of
+// accepting any token.
+export const assertRoutesDeclareScopes = (router) => {
+  for (const layer of router.stack) {
+    if (!layer.route) continue;
+    for (const method of Object.keys(layer.route.methods)) {
+      const declared = layer.route.stack.some((routeLayer) => routeLayer.method === method && routeLayer.handle.tokenScope)
+      if (!declared) {
+        throw new Error(`${method.toUpperCase()} ${layer.route.path} does not declare a token scope with requireScope`)
+      }
+    }
+  }
+  return router;
+};
+
+// Must run after verifyJWT. Takes role names and/or permissions ("content:moderate");
+// matching any one of them is enough. Roles are hierarchical: authorize("moderator") admits admins too.
+export const authorize = (...allowed) => (req, res, next) => {
+  if (!req.user) {
+    return next(new ApiError(401, "Unauthorized request"))
+  }
+
+  const userRoleLevel = ROLES.indexOf(req.user.role)
+  const userPermissions = getRolePermissions(req.user.role)
+
+  const isAllowed = allowed.some((entry) => ROLES.includes(entry)
+    ? userRoleLevel >= ROLES.indexOf(entry)
+    : userPermissions.includes(entry))
+
+  if (!isAllowed) {
+    return next(new ApiError(403, "You don't have permission to perform this action"))
+  }
+  next();
+};
@@ -0,0 +1,28 @@
+import { ApiError } from "../utils/ApiError.js";
+
+// Sends every error as the same JSON shape ApiResponse uses, instead of Express' HTML page.
+// Errors may carry extra response headers in `headers` (e.g. Retry-After).
+const errorHandler = (err, req, res, next) => {
+    const statusCode = err instanceof ApiError
+        ? err.statusCode
+        : err.statusCode || err.status || 500;
+
+    if (err.headers) {
+        res.set(err.headers);
+    }
+
+    if (statusCode >= 500) {
+        console.error(err);
+    }
+
+    return res.status(statusCode).json({
+        statusCode,
+        data: null,
+        message: statusCode >= 500 && !(err instanceof ApiError) ? "Internal server error" : err.message,
+        success: false,
+        errors: Array.isArray(err.errors) ? err.errors : [],
+        ...(process.env.NODE_ENV !== "production" && { stack: err.stack }),
+    });
+};
+
+export { errorHandler }
@@ -1,12 +1,162 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { Transform } from "stream";
 import multer from "multer";
+import { ApiError } from "../utils/ApiError.js";
+import { FILE_HEADER_BYTES } from "../utils/fileType.js";
+import {
+    assertAllowedFileSize,
+    assertAllowedFileType,
+    assertAllowedImageDimensions,
+    getUploadPolicy,
+} from "../policies/upload.policy.js";
 
-const storage = multer.diskStorage({
-    destination: function(req, file, cb) {
-        cb(null, "./public/temp");
+const TEMP_DIR = "./public/temp";
+
+const removeFile = (filePath) => fs.promises.rm(filePath, { force: true });
+
+// Multer storage engine that writes each file under a random name and enforces the field's
+// upload policy (see upload.policy.js) while it streams in. A rejected file is deleted
+// before the error is handed to multer.
+const policyStorage = {
+    _handleFile(req, file, cb) {
+        let policy;
+        try {
+            policy = getUploadPolicy(file.fieldname);
+        } catch (error) {
+            file.stream.resume();
+            return cb(error);
+        }
+
+        const tempPath = path.join(TEMP_DIR, crypto.randomBytes(16).toString("hex"));
+        const output = fs.createWriteStream(tempPath, { flags: "wx" });
+        let size = 0;
+        let header = Buffer.alloc(0);
+        let detected = null;
+        let settled = false;
+
+        const onRequestClose = () => {
+            if (!req.complete) reject(new ApiError(400, "Upload was interrupted", [{ code: "UPLOAD_ABORTED", field: file.fieldname }]));
+        };
+
+        const settle = (error, info) => {
+            if (settled) return;
+            settled = true;
+            req.off("close", onRequestClose);
+            cb(error, info);
+        };
+
+        const reject = (error) => {
+            if (settled) return;
+            file.stream.unpipe(checker);
+            file.stream.resume(); // let the rest of the form through
+            output.destroy();
+            removeFile(tempPath).finally(() => settle(error));
+        };
+
+        // Counts bytes and checks the magic bytes as soon as enough of the file has arrived
+        const checker = new Transform({
+            transform(chunk, encoding, done) {
+                try {
+                    size += chunk.length;
+                    assertAllowedFileSize(file.fieldname, size);
+
+                    if (!detected) {
+                        header = Buffer.concat([header, chunk]).subarray(0, FILE_HEADER_BYTES);
+                        if (header.length >= FILE_HEADER_BYTES) {
+                            detected = assertAllowedFileType(file.fieldname, header);
+                        }
+                    }
+                    done(null, chunk);
+                } catch (error) {
+                    done(error);
+                }
+            },
+            flush(done) {
+                try {
+                    // Files shorter than the header
+                    if (!detected) detected = assertAllowedFileType(file.fieldname, header);
+                    done();
+                } catch (error) {
+                    done(error);
+                }
+            },
+        });
+
+        file.stream.on("error", reject);
+        checker.on("error", reject);
+        output.on("error", reject);
+        req.on("close", onRequestClose);
+
+        output.on("finish", async () => {
+            if (settled) return;
+            try {
+                // Images are small enough (see maxBytes) to read back for their dimensions
+                let dimensions = null;
+                if (policy.maxWidth) {
+                    const contents = await fs.promises.readFile(tempPath);
+                    dimensions = assertAllowedImageDimensions(file.fieldname, contents, detected.mimeType);
+                }
+
+                // Named after the detected type, never after the client's file name
+                const filePath = `${tempPath}.${detected.extension}`;
+                await fs.promises.rename(tempPath, filePath);
+
+                settle(null, {
+                    destination: TEMP_DIR,
+                    filename: path.basename(filePath),
+                    path: filePath,
+                    size,
+                    mimetype: detected.mimeType,
+                    ...dimensions,
+                });
+            } catch (error) {
+                await removeFile(tempPath);
+                settle(error);
+            }
+        });
+
+        file.stream.pipe(checker).pipe(output);
     },
-    filename: function(req, file, cb) {
-        cb(null, file.originalname);
+
+    _removeFile(req, file, cb) {
+        removeFile(file.path).then(() => cb(null), cb);
     },
-});
+};
+
+const multerUpload = multer({ storage: policyStorage });
+
+// Multer's own errors (unexpected field, too many files, ...) become 400s like ours
+const toApiError = (error) => {
+    if (!(error instanceof multer.MulterError)) return error;
+    return new ApiError(error.code === "LIMIT_FILE_SIZE" ? 413 : 400, error.message, [
+        { code: error.code, field: error.field ?? null },
+    ]);
+};
+
+// Uploaded files are handed to storage (which removes them) by the controller. Whatever is
+// left once the response is sent, e.g. because validation failed later on, is removed here.
+const removeLeftoverFiles = (req) => {
+    const files = [req.file, ...Object.values(req.files ?? {}).flat()].filter(Boolean);
+    for (const file of files) {
+        removeFile(file.path).catch((error) => console.error("Failed to remove temp upload:", error));
+    }
+};
+
+const withUploadPolicies = (middleware) => (req, res, next) => {
+    middleware(req, res, (error) => {
+        if (error) {
+            // The rest of the request body is never read, so the connection can't be reused
+            res.set("Connection", "close");
+            return next(toApiError(error));
+        }
+        res.once("close", () => removeLeftoverFiles(req));
+        next();
+    });
+};
 
-export const upload = multer({ storage });
\ No newline at end of file
+export const upload = {
+    single: (fieldname) => withUploadPolicies(multerUpload.single(fieldname)),
+    fields: (fields) => withUploadPolicies(multerUpload.fields(fields)),
+};
@@ -0,0 +1,40 @@
+import { RateLimit } from "../models/rateLimit.models.js";
+import { ApiError } from "../utils/ApiError.js";
+
+// Counts the request in the client's current window and returns the new count
+const hitWindow = async (key, expiresAt) => {
+    const update = { $inc: { count: 1 }, $setOnInsert: { expiresAt } };
+    try {
+        return await RateLimit.findOneAndUpdate({ key }, update, { upsert: true, new: true }).lean();
+    } catch (error) {
+        // Two concurrent upserts of a new window: the loser retries against the winner's counter
+        if (error?.code !== 11000) throw error;
+        return RateLimit.findOneAndUpdate({ key }, update, { new: true }).lean();
+    }
+};
+
+// Allows `max` requests per client IP every `windowSeconds`; more get a 429 with Retry-After.
+// getLimits() returns { max, windowSeconds } and is read per request, so env settings apply.
+// Counters live in MongoDB so every instance shares them.
+const rateLimit = (name, getLimits) => async (req, res, next) => {
+    try {
+        const { max, windowSeconds } = getLimits();
+        const windowMs = windowSeconds * 1000;
+        const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+        const expiresAt = new Date(windowStart + windowMs);
+
+        const counter = await hitWindow(`${name}:${req.ip}:${windowStart}`, expiresAt);
+
+        if (counter && counter.count > max) {
+            const retryAfter = Math.max(1, Math.ceil((expiresAt.getTime() - Date.now()) / 1000));
+            const error = new ApiError(429, "Too many requests. Try again later", [{ code: "RATE_LIMITED", retryAfter }]);
+            error.headers = { "Retry-After": String(retryAfter) };
+            return next(error);
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+export { rateLimit }
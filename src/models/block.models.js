@@ -0,0 +1,25 @@
+import mongoose, { Schema } from "mongoose";
+
+const blockSchema = new Schema({
+    blocker: {
+        type: Schema.Types.ObjectId, // one who is blocking
+        ref: "User",
+        required: true,
+    },
+    blocked: {
+        type: Schema.Types.ObjectId, // one who 'blocker' doesn't want to interact with
+        ref: "User",
+        required: true,
+        index: true,
+    },
+}, { timestamps: true });
+
+blockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+
+// True if `blockerId` has blocked `blockedId`
+blockSchema.statics.isBlocked = async function(blockerId, blockedId) {
+    if (!blockerId || !blockedId) return false;
+    return Boolean(await this.exists({ blocker: blockerId, blocked: blockedId }));
+};
+
+export const Block = mongoose.model("Block", blockSchema);
@@ -0,0 +1,47 @@
+import mongoose, { Schema } from "mongoose";
+
+// A "download my data" request and the zip archive it produces
+const dataExportSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true,
+    },
+    status: {
+        type: String,
+        enum: ["queued", "processing", "completed", "failed", "expired"],
+        default: "queued",
+        index: true,
+    },
+    filePath: {
+        type: String, // location on the server's disk, never exposed
+        select: false,
+    },
+    fileSize: {
+        type: Number,
+    },
+    startedAt: {
+        type: Date,
+    },
+    completedAt: {
+        type: Date,
+    },
+    expiresAt: {
+        type: Date, // when the archive gets deleted
+    },
+    error: {
+        type: String,
+    },
+    cooldownUser: {
+        type: Schema.Types.ObjectId, // set while this export counts towards the user's cooldown
+    },
+}, { timestamps: true });
+
+// At most one export per user inside the cooldown period, even for concurrent requests
+dataExportSchema.index(
+    { cooldownUser: 1 },
+    { unique: true, partialFilterExpression: { cooldownUser: { $exists: true } } }
+);
+
+export const DataExport = mongoose.model("DataExport", dataExportSchema);
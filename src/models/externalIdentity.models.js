@@ -0,0 +1,31 @@
+import mongoose, { Schema } from "mongoose";
+
+// An account at an OpenID Connect provider linked to one of our users
+const externalIdentitySchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true,
+    },
+    provider: {
+        type: String, // name from OIDC_PROVIDERS
+        required: true,
+    },
+    subject: {
+        type: String, // the provider's stable user id ("sub" claim)
+        required: true,
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+    },
+    lastLoginAt: {
+        type: Date,
+    },
+}, { timestamps: true });
+
+externalIdentitySchema.index({ provider: 1, subject: 1 }, { unique: true });
+
+export const ExternalIdentity = mongoose.model("ExternalIdentity", externalIdentitySchema);
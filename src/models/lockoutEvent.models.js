@@ -0,0 +1,30 @@
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// Audit record written every time an account or IP gets locked out
+const lockoutEventSchema = new Schema({
+    scope: {
+        type: String,
+        enum: ["account", "ip"],
+        required: true,
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+    },
+    ip: {
+        type: String,
+    },
+    failedCount: {
+        type: Number,
+        required: true,
+    },
+    lockedUntil: {
+        type: Date,
+        required: true,
+    },
+}, { timestamps: true });
+
+lockoutEventSchema.plugin(mongooseAggregatePaginate);
+
+export const LockoutEvent = mongoose.model("LockoutEvent", lockoutEventSchema);
@@ -0,0 +1,29 @@
+import mongoose, { Schema } from "mongoose";
+
+// Failed login counter for one account ("user:<id>") or one client IP ("ip:<address>")
+const loginThrottleSchema = new Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    failedCount: {
+        type: Number,
+        default: 0,
+    },
+    lastFailedAt: {
+        type: Date,
+    },
+    lockedUntil: {
+        type: Date,
+        default: null,
+    },
+    expiresAt: {
+        type: Date, // counters are forgotten a while after the last failure
+        required: true,
+    },
+}, { timestamps: true });
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const LoginThrottle = mongoose.model("LoginThrottle", loginThrottleSchema);
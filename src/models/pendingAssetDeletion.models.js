@@ -0,0 +1,38 @@
+import mongoose, { Schema } from "mongoose";
+
+// A remote file whose deletion failed and is retried by the asset deletion job
+const pendingAssetDeletionSchema = new Schema({
+    provider: {
+        type: String, // storage provider holding the file
+        default: "cloudinary",
+    },
+    assetId: {
+        type: String, // the provider's asset ID
+        required: true,
+    },
+    resourceType: {
+        type: String,
+        enum: ["image", "video", "raw"],
+        default: "image",
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    lastError: {
+        type: String,
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now,
+        index: true,
+    },
+    claimedAt: {
+        type: Date, // set while a job instance is working on the entry
+        default: null,
+    },
+}, { timestamps: true });
+
+pendingAssetDeletionSchema.index({ provider: 1, assetId: 1, resourceType: 1 }, { unique: true });
+
+export const PendingAssetDeletion = mongoose.model("PendingAssetDeletion", pendingAssetDeletionSchema);
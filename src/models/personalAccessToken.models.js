@@ -0,0 +1,71 @@
+import mongoose, { Schema } from "mongoose";
+import { generateRandomToken, hashToken } from "../utils/token.js";
+
+export const PERSONAL_ACCESS_TOKEN_PREFIX = "pat_";
+
+// Long-lived, scoped credential for scripts; sent as "Authorization: Bearer pat_..."
+const personalAccessTokenSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true,
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    tokenHash: {
+        type: String, // sha256 hash of the full token
+        required: true,
+        unique: true,
+        select: false,
+    },
+    tokenHint: {
+        type: String, // last characters, so users can tell their tokens apart
+    },
+    scopes: [{
+        type: String,
+    }],
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+}, { timestamps: true });
+
+// Returns the raw token to show once; only its hash is kept on the document
+personalAccessTokenSchema.methods.generateToken = function() {
+    const token = `${PERSONAL_ACCESS_TOKEN_PREFIX}${generateRandomToken(24)}`;
+
+    this.tokenHash = hashToken(token);
+    this.tokenHint = token.slice(-4);
+
+    return token;
+};
+
+personalAccessTokenSchema.statics.findActiveByToken = function(token) {
+    return this.findOne({
+        tokenHash: hashToken(token),
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+// Password resets, logout-all and account deletion end every token the user issued
+personalAccessTokenSchema.statics.revokeAllForUser = function(userId) {
+    return this.updateMany(
+        { user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+};
+
+export const PersonalAccessToken = mongoose.model("PersonalAccessToken", personalAccessTokenSchema);
@@ -25,6 +25,12 @@ const playlistSchema = new mongoose.Schema(
     }
 );
 
+// Full-text search (see search.service.js)
+playlistSchema.index(
+    { name: "text", description: "text" },
+    { name: "playlist_text", weights: { name: 10, description: 1 } }
+);
+
 playlistSchema.plugin(mongooseAggregatePaginate);
 
 export const Playlist = mongoose.model("Playlist", playlistSchema);
\ No newline at end of file
@@ -0,0 +1,22 @@
+import mongoose, { Schema } from "mongoose";
+
+// Request counter for one client in one fixed window, e.g. "video-views:<ip>:<window start>"
+const rateLimitSchema = new Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    count: {
+        type: Number,
+        default: 0,
+    },
+    expiresAt: {
+        type: Date, // end of the window
+        required: true,
+    },
+});
+
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
@@ -0,0 +1,28 @@
+import mongoose, { Schema } from "mongoose";
+
+// One entry per user and distinct query; searching the same thing again bumps `searchedAt`
+const searchHistorySchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    query: {
+        type: String, // as the user last typed it
+        required: true,
+        trim: true,
+    },
+    normalizedQuery: {
+        type: String, // lowercased, for deduplication and prefix matching
+        required: true,
+    },
+    searchedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { timestamps: true });
+
+searchHistorySchema.index({ user: 1, normalizedQuery: 1 }, { unique: true });
+searchHistorySchema.index({ user: 1, searchedAt: -1 });
+
+export const SearchHistory = mongoose.model("SearchHistory", searchHistorySchema);
@@ -0,0 +1,59 @@
+import mongoose, { Schema } from "mongoose";
+
+// One document per logged-in device. The session is the refresh-token family:
+// every rotated refresh token carries the session id, and only the latest one is valid.
+const sessionSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true,
+    },
+    refreshTokenHash: {
+        type: String, // sha256 hash of the latest refresh token's jti
+        select: false,
+    },
+    userAgent: {
+        type: String,
+        default: "",
+    },
+    device: {
+        type: String, // short human readable label, e.g. "Chrome on Windows"
+        default: "Unknown device",
+    },
+    ip: {
+        type: String,
+        default: "",
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    revokedReason: {
+        type: String, // "logout", "logout-all", "revoked", "reuse-detected", ...
+    },
+}, { timestamps: true });
+
+// Expired sessions are removed by MongoDB; revoked ones stay until then so token reuse can still be detected
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.statics.revokeMany = function(filter, reason = "revoked") {
+    return this.updateMany(
+        { ...filter, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+};
+
+export const Session = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,19 @@
+import { Schema } from "mongoose";
+
+// Embedded next to a media URL: which storage provider holds the file and under what ID,
+// so it can be deleted (or signed) without parsing the URL. See src/storage/index.js.
+export const storedAssetSchema = new Schema({
+    provider: {
+        type: String, // "cloudinary" or "local"
+        required: true,
+    },
+    assetId: {
+        type: String,
+        required: true,
+    },
+    resourceType: {
+        type: String,
+        enum: ["image", "video", "raw"],
+        default: "image",
+    },
+}, { _id: false });
@@ -18,6 +18,9 @@ const tweetSchema = new mongoose.Schema(
     }
 );
 
+// Full-text search (see search.service.js)
+tweetSchema.index({ content: "text" }, { name: "tweet_text" });
+
 tweetSchema.plugin(mongooseAggregatePaginate);
 
 export const Tweet = mongoose.model("Tweet", tweetSchema);
\ No newline at end of file
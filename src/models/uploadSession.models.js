@@ -0,0 +1,64 @@
+import mongoose, { Schema } from "mongoose";
+
+// A resumable video upload. The client sends the file in numbered chunks of `chunkSize`
+// bytes (the last one may be shorter), in any order, then finalizes the session.
+const uploadSessionSchema = new Schema({
+    owner: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true,
+    },
+    fileName: {
+        type: String, // as the client named it; only used for its extension, never as a path
+        required: true,
+    },
+    mimeType: {
+        type: String,
+        required: true,
+    },
+    fileSize: {
+        type: Number, // bytes
+        required: true,
+    },
+    chunkSize: {
+        type: Number, // bytes
+        required: true,
+    },
+    totalChunks: {
+        type: Number,
+        required: true,
+    },
+    receivedChunks: {
+        type: [Number], // indexes of the chunks stored so far
+        default: [],
+    },
+    checksum: {
+        type: String, // optional SHA-256 (hex) of the whole file, checked when finalizing
+    },
+    extension: {
+        type: String, // detected from chunk 0's magic bytes; the assembled file is named with it
+    },
+    storageKey: {
+        type: String, // random name of the session's temp directory
+        required: true,
+        unique: true,
+        select: false,
+    },
+    status: {
+        type: String,
+        enum: ["active", "finalizing", "completed"],
+        default: "active",
+    },
+    video: {
+        type: Schema.Types.ObjectId, // the published video, once completed
+        ref: "Video",
+    },
+    expiresAt: {
+        type: Date, // pushed back on every chunk; abandoned sessions are cleaned up after this
+        required: true,
+        index: true,
+    },
+}, { timestamps: true });
+
+export const UploadSession = mongoose.model("UploadSession", uploadSessionSchema);
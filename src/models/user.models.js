@@ -1,6 +1,23 @@
 import mongoose, { Schema } from "mongoose";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
+import { generateRandomToken, hashToken } from "../utils/token.js";
+import { ROLES } from "../utils/permissions.js";
+import { MAX_BIO_LENGTH, MAX_LINK_TITLE_LENGTH, MAX_PROFILE_LINKS } from "../utils/profile.js";
+import { storedAssetSchema } from "./storedAsset.models.js";
+
+const profileLinkSchema = new Schema({
+    title: {
+        type: String,
+        trim: true,
+        maxlength: MAX_LINK_TITLE_LENGTH,
+    },
+    url: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+}, { _id: false });
 
 const userSchema = new Schema({
     username: {
@@ -11,6 +28,10 @@ const userSchema = new Schema({
         trim: true,
         index: true,
     },
+    usernameChangedAt: {
+        type: Date, // last username change, for the change cooldown
+        default: null,
+    },
     email: {
         type: String,
         required: true,
@@ -18,6 +39,18 @@ const userSchema = new Schema({
         lowercase: true,
         trim: true,
     },
+    isEmailVerified: {
+        type: Boolean,
+        default: false,
+    },
+    emailVerificationToken: {
+        type: String, // sha256 hash of the emailed token
+        select: false,
+    },
+    emailVerificationExpiry: {
+        type: Date,
+        select: false,
+    },
     fullName: {
         type: String,
         required: true,
@@ -25,27 +58,116 @@ const userSchema = new Schema({
         index: true,
     },
     avatar: {
-        type: String, // cloudinary url
+        type: String, // media url
         required: true,
     },
+    avatarAsset: {
+        type: storedAssetSchema, // null for avatars we don't host (e.g. from a sign-in provider)
+        default: null,
+    },
     coverImage: {
-        type: String, // cloudinary url
+        type: String, // media url
     },
-    watchHistory: [
-        {
-            type: Schema.Types.ObjectId,
-            ref: "Video",
+    coverImageAsset: {
+        type: storedAssetSchema,
+        default: null,
+    },
+    bio: {
+        type: String,
+        trim: true,
+        maxlength: MAX_BIO_LENGTH,
+        default: "",
+    },
+    links: {
+        type: [profileLinkSchema],
+        validate: {
+            validator: (links) => links.length <= MAX_PROFILE_LINKS,
+            message: `At most ${MAX_PROFILE_LINKS} links are allowed`,
+        },
+        default: [],
+    },
+    country: {
+        type: String, // ISO 3166-1 alpha-2 code
+        uppercase: true,
+        default: null,
+    },
+    privacy: {
+        // Each flag hides the data from everyone except the user themselves
+        hideEmail: {
+            type: Boolean,
+            default: true,
+        },
+        hideSubscriptions: {
+            type: Boolean,
+            default: false,
         },
-    ],
+        hideLikedVideos: {
+            type: Boolean,
+            default: false,
+        },
+    },
+    role: {
+        type: String,
+        enum: ROLES,
+        default: "user",
+    },
+    isWatchHistoryPaused: {
+        type: Boolean, // while true, watched videos are not added to the WatchHistory collection
+        default: false,
+    },
     password: {
         type: String,
         required: [true, "Password is required"],
     }, 
-    refreshToken: {
-        type: String,
+    isTwoFactorEnabled: {
+        type: Boolean,
+        default: false,
+    },
+    twoFactorSecret: {
+        type: String, // encrypted base32 TOTP secret (see utils/encryption.js), only set once enrollment is verified
+        select: false,
+    },
+    twoFactorPendingSecret: {
+        type: String, // encrypted secret shown during enrollment, promoted after the first valid code
+        select: false,
+    },
+    twoFactorLastUsedStep: {
+        type: Number, // last accepted TOTP time step, so a code can't be replayed
+        select: false,
+    },
+    twoFactorRecoveryCodes: {
+        type: [String], // sha256 hashes of the one-time recovery codes
+        select: false,
+    },
+    deletionRequestedAt: {
+        type: Date,
+        default: null,
+    },
+    deletionScheduledFor: {
+        type: Date, // end of the grace period; the purge job removes the account after this
+        default: null,
+        index: true,
+    },
+    deletionPurgeStartedAt: {
+        type: Date,
+        default: null,
+    },
+    passwordResetToken: {
+        type: String, // sha256 hash of the emailed token
+        select: false,
+    },
+    passwordResetExpiry: {
+        type: Date,
+        select: false,
     },
 }, { timestamps: true });
 
+// Full-text search for channels (see search.service.js)
+userSchema.index(
+    { username: "text", fullName: "text" },
+    { name: "user_text", weights: { username: 10, fullName: 5 } }
+);
+
 userSchema.pre("save", async function(next) {
     if (!this.isModified("password")) return next();
     this.password = await bcrypt.hash(this.password, 10);
@@ -56,10 +178,11 @@ userSchema.methods.isPasswordCorrect = async function(password) {
     return await bcrypt.compare(password, this.password);
 };
 
-userSchema.methods.generateAccessToken = function() {
+userSchema.methods.generateAccessToken = function(sessionId) {
     return jwt.sign(
         {
             _id: this._id,
+            sid: sessionId,
             email: this.email,
             username: this.username,
             fullName: this.fullName,
@@ -71,10 +194,13 @@ userSchema.methods.generateAccessToken = function() {
     );
 };
 
-userSchema.methods.generateRefreshToken = function() {
+// sid identifies the token family (session), jti the individual token within it
+userSchema.methods.generateRefreshToken = function(sessionId, tokenId) {
     return jwt.sign(
         {
             _id: this._id,
+            sid: sessionId,
+            jti: tokenId,
         },
         process.env.REFRESH_TOKEN_SECRET,
         {
@@ -83,4 +209,61 @@ userSchema.methods.generateRefreshToken = function() {
     );
 };
 
+// Short-lived proof that the password step of a 2FA login succeeded
+userSchema.methods.generateTwoFactorChallengeToken = function() {
+    return jwt.sign(
+        {
+            _id: this._id,
+            purpose: "2fa-challenge",
+        },
+        process.env.TWO_FACTOR_CHALLENGE_SECRET,
+        {
+            expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || "5m",
+        },
+    );
+};
+
+// Returns the raw token for the email; only its hash is kept on the document
+userSchema.methods.generatePasswordResetToken = function() {
+    const resetToken = generateRandomToken();
+    const expiryMinutes = Number(process.env.PASSWORD_RESET_TOKEN_EXPIRY_MINUTES) || 15;
+
+    this.passwordResetToken = hashToken(resetToken);
+    this.passwordResetExpiry = new Date(Date.now() + expiryMinutes * 60 * 1000);
+
+    return resetToken;
+};
+
+// Returns the raw token for the email; only its hash is kept on the document
+userSchema.methods.generateEmailVerificationToken = function() {
+    const verificationToken = generateRandomToken();
+    const expiryHours = Number(process.env.EMAIL_VERIFICATION_TOKEN_EXPIRY_HOURS) || 24;
+
+    this.emailVerificationToken = hashToken(verificationToken);
+    this.emailVerificationExpiry = new Date(Date.now() + expiryHours * 60 * 60 * 1000);
+
+    return verificationToken;
+};
+
+// Returns the raw recovery codes to show once; only their hashes are stored
+userSchema.methods.generateTwoFactorRecoveryCodes = function(count = 10) {
+    const rawCodes = Array.from({ length: count }, () => generateRandomToken(5));
+
+    this.twoFactorRecoveryCodes = rawCodes.map((code) => hashToken(code));
+
+    // Shown as "xxxxx-xxxxx"; the dash is ignored when a code is used
+    return rawCodes.map((code) => `${code.slice(0, 5)}-${code.slice(5)}`);
+};
+
+// Consumes a recovery code; requires twoFactorRecoveryCodes to be selected
+userSchema.methods.useTwoFactorRecoveryCode = function(code) {
+    const codeHash = hashToken(String(code || "").toLowerCase().replace(/[^a-f0-9]/g, ""));
+    const index = this.twoFactorRecoveryCodes?.indexOf(codeHash) ?? -1;
+
+    if (index === -1) return false;
+
+    this.twoFactorRecoveryCodes.splice(index, 1);
+    return true;
+};
+
 export const User = mongoose.model("User", userSchema);
\ No newline at end of file
@@ -0,0 +1,30 @@
+import mongoose, { Schema } from "mongoose";
+
+// A handle a user has moved away from. While the entry exists, profile lookups for
+// the old handle resolve to the user; until `releaseAt` nobody else can claim it.
+const usernameHistorySchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true,
+    },
+    username: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true,
+    },
+    retiredAt: {
+        type: Date,
+        default: Date.now,
+    },
+    releaseAt: {
+        type: Date, // end of the quarantine period
+        required: true,
+    },
+}, { timestamps: true });
+
+usernameHistorySchema.index({ username: 1, retiredAt: -1 });
+
+export const UsernameHistory = mongoose.model("UsernameHistory", usernameHistorySchema);
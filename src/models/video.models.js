@@ -1,15 +1,29 @@
 import mongoose, { Schema } from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { MAX_TAGS, VIDEO_CATEGORIES } from "../utils/videoTaxonomy.js";
+import { storedAssetSchema } from "./storedAsset.models.js";
+
+// public: listed everywhere; unlisted: anyone with the ID, but left out of listings and search;
+// private: owner only; subscribers: only users subscribed to the owner
+export const VIDEO_VISIBILITIES = ["public", "unlisted", "private", "subscribers"];
 
 const videoSchema = new Schema({
     videoFile: {
-        type: String, // cloudinary url
+        type: String, // media url
         required: true,
     },
+    videoFileAsset: {
+        type: storedAssetSchema,
+        default: null,
+    },
     thumbnail: {
-        type: String, // cloudinary url
+        type: String, // media url
         required: true,
     },
+    thumbnailAsset: {
+        type: storedAssetSchema,
+        default: null,
+    },
     title: {
         type: String,
         required: true,
@@ -22,13 +36,36 @@ const videoSchema = new Schema({
         type: Number,
         required: true,
     },
+    tags: {
+        type: [String], // normalized with normalizeTags()
+        validate: {
+            validator: (tags) => tags.length <= MAX_TAGS,
+            message: `A video can have at most ${MAX_TAGS} tags`,
+        },
+        default: [],
+    },
+    category: {
+        type: String,
+        enum: VIDEO_CATEGORIES,
+        default: null,
+    },
     views: {
         type: Number,
         default: 0,
     },
-    isPublished: {
-        type: Boolean,
-        default: true,
+    visibility: {
+        type: String,
+        enum: VIDEO_VISIBILITIES,
+        default: "public",
+    },
+    publishAt: {
+        type: Date, // scheduled go-live time; cleared once the scheduler publishes the video
+        default: null,
+    },
+    scheduledVisibility: {
+        type: String, // visibility the video switches to at publishAt (it is private until then)
+        enum: VIDEO_VISIBILITIES,
+        default: null,
     },
     owner: {
         type: Schema.Types.ObjectId,
@@ -36,6 +73,20 @@ const videoSchema = new Schema({
     },
 }, { timestamps: true });
 
+videoSchema.index({ visibility: 1, createdAt: -1 });
+videoSchema.index({ tags: 1, visibility: 1 });
+videoSchema.index({ category: 1, visibility: 1, createdAt: -1 });
+videoSchema.index({ duration: 1 });
+// Full-text search (see search.service.js); a collection can only have one text index
+videoSchema.index(
+    { title: "text", tags: "text", description: "text" },
+    { name: "video_text", weights: { title: 10, tags: 5, description: 1 } }
+);
+videoSchema.index({ publishAt: 1 }, { partialFilterExpression: { publishAt: { $type: "date" } } });
+// The media router looks up which video a locally stored file belongs to
+videoSchema.index({ "videoFileAsset.assetId": 1 });
+videoSchema.index({ "thumbnailAsset.assetId": 1 });
+
 videoSchema.plugin(mongooseAggregatePaginate)
 
 export const Video = mongoose.model("Video", videoSchema);
\ No newline at end of file
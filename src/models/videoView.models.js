@@ -0,0 +1,32 @@
+import mongoose, { Schema } from "mongoose";
+
+// Marker for a counted view. While it lives, further views of the same video by the same
+// viewer ("user:<id>" or "anon:<hash of IP and user agent>") are not counted again.
+const videoViewSchema = new Schema({
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        required: true,
+    },
+    viewerKey: {
+        type: String,
+        required: true,
+    },
+    viewer: {
+        type: Schema.Types.ObjectId, // null for anonymous viewers
+        ref: "User",
+        default: null,
+    },
+    watchedSeconds: {
+        type: Number,
+    },
+    expiresAt: {
+        type: Date, // end of the deduplication window
+        required: true,
+    },
+}, { timestamps: true });
+
+videoViewSchema.index({ video: 1, viewerKey: 1 }, { unique: true });
+videoViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const VideoView = mongoose.model("VideoView", videoViewSchema);
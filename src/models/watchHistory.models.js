@@ -0,0 +1,26 @@
+import mongoose, { Schema } from "mongoose";
+
+// One entry per user and video; watching the video again bumps `watchedAt`
+const watchHistorySchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        required: true,
+        index: true,
+    },
+    watchedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { timestamps: true });
+
+watchHistorySchema.index({ user: 1, video: 1 }, { unique: true });
+// Newest-watched-first listing with a stable tie breaker for cursor pagination
+watchHistorySchema.index({ user: 1, watchedAt: -1, _id: -1 });
+
+export const WatchHistory = mongoose.model("WatchHistory", watchHistorySchema);
@@ -0,0 +1,39 @@
+import mongoose, { Schema } from "mongoose";
+
+// Where a user left off in a video, reported periodically by the player
+const watchProgressSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    video: {
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+        required: true,
+    },
+    position: {
+        type: Number, // playback position in seconds
+        min: 0,
+        default: 0,
+    },
+    completionPercent: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0,
+    },
+    completed: {
+        type: Boolean,
+        default: false,
+    },
+    lastWatchedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { timestamps: true });
+
+watchProgressSchema.index({ user: 1, video: 1 }, { unique: true });
+watchProgressSchema.index({ user: 1, completed: 1, lastWatchedAt: -1 });
+
+export const WatchProgress = mongoose.model("WatchProgress", watchProgressSchema);
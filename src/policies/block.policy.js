@@ -0,0 +1,24 @@
+import { Block } from "../models/block.models.js";
+import { ApiError } from "../utils/ApiError.js";
+
+// Blocking rules shared by every interaction a user can have with someone else's content.
+// A block is one-directional: the blocker stops receiving comments, likes and
+// subscriptions from the blocked user, and disappears from their view.
+
+// Throws 403 if `ownerId` has blocked `userId` from interacting with their content
+const assertNotBlockedBy = async (ownerId, userId, message = "You cannot interact with this user's content") => {
+    if (ownerId && userId && ownerId.toString() === userId.toString()) return;
+
+    if (await Block.isBlocked(ownerId, userId)) {
+        throw new ApiError(403, message, [{ code: "BLOCKED_BY_OWNER" }]);
+    }
+};
+
+// Ids of every user `userId` has blocked, for filtering their content out of listings
+const getBlockedUserIds = async (userId) => {
+    if (!userId) return [];
+    const blocks = await Block.find({ blocker: userId }).select("blocked").lean();
+    return blocks.map((block) => block.blocked);
+};
+
+export { assertNotBlockedBy, getBlockedUserIds }
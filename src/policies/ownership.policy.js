@@ -0,0 +1,25 @@
+import { hasPermission } from "../utils/permissions.js";
+
+// Shared ownership rules for user-generated content (videos, comments, tweets).
+// Owners can always act on their own documents; moderators and admins can act on anyone's.
+
+const canModerateContent = (user) => {
+    return hasPermission(user, "content:moderate");
+};
+
+const isOwner = (user, resource) => {
+    const ownerId = resource?.owner?._id ?? resource?.owner;
+    return Boolean(user?._id && ownerId && ownerId.toString() === user._id.toString());
+};
+
+const canManageContent = (user, resource) => {
+    return isOwner(user, resource) || canModerateContent(user);
+};
+
+// Query filter to merge into findOne/findOneAndUpdate/findOneAndDelete conditions:
+// { owner: user._id } for regular users, no restriction for moderators
+const manageableContentFilter = (user) => {
+    return canModerateContent(user) ? {} : { owner: user?._id };
+};
+
+export { canModerateContent, isOwner, canManageContent, manageableContentFilter }
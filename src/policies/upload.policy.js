@@ -0,0 +1,107 @@
+import { ApiError } from "../utils/ApiError.js";
+import { detectFileType, getImageDimensions } from "../utils/fileType.js";
+
+const MB = 1024 * 1024;
+
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif"];
+const VIDEO_TYPES = ["video/mp4", "video/quicktime", "video/webm", "video/x-matroska"];
+
+// What each upload field accepts. Types are checked against the file's magic bytes,
+// sizes while the file streams in, and image dimensions once it is on disk.
+const UPLOAD_POLICIES = {
+    avatar: {
+        label: "Avatar",
+        mimeTypes: IMAGE_TYPES,
+        maxBytes: 5 * MB,
+        maxWidth: 4096,
+        maxHeight: 4096,
+    },
+    coverImage: {
+        label: "Cover image",
+        mimeTypes: IMAGE_TYPES,
+        maxBytes: 10 * MB,
+        maxWidth: 6000,
+        maxHeight: 6000,
+    },
+    thumbnail: {
+        label: "Thumbnail",
+        mimeTypes: IMAGE_TYPES,
+        maxBytes: 5 * MB,
+        maxWidth: 3840,
+        maxHeight: 3840,
+    },
+    videoFile: {
+        label: "Video file",
+        mimeTypes: VIDEO_TYPES,
+        get maxBytes() {
+            return (Number(process.env.MAX_VIDEO_UPLOAD_MB) || 10240) * MB;
+        },
+    },
+};
+
+const getUploadPolicy = (fieldname) => {
+    const policy = UPLOAD_POLICIES[fieldname];
+    if (!policy) {
+        throw new ApiError(400, `Unexpected file field "${fieldname}"`, [{ code: "UNEXPECTED_FILE", field: fieldname }]);
+    }
+    return policy;
+};
+
+// The detected { mimeType, extension } if the header matches an allowed type
+const assertAllowedFileType = (fieldname, header) => {
+    const policy = getUploadPolicy(fieldname);
+    const detected = detectFileType(header);
+
+    if (!detected || !policy.mimeTypes.includes(detected.mimeType)) {
+        throw new ApiError(415, `${policy.label} must be one of: ${policy.mimeTypes.join(", ")}`, [{
+            code: "UNSUPPORTED_FILE_TYPE",
+            field: fieldname,
+            detectedType: detected?.mimeType ?? null,
+            allowedTypes: policy.mimeTypes,
+        }]);
+    }
+    return detected;
+};
+
+const assertAllowedFileSize = (fieldname, size) => {
+    const policy = getUploadPolicy(fieldname);
+
+    if (size > policy.maxBytes) {
+        throw new ApiError(413, `${policy.label} can be at most ${policy.maxBytes} bytes`, [{
+            code: "FILE_TOO_LARGE",
+            field: fieldname,
+            maxBytes: policy.maxBytes,
+        }]);
+    }
+};
+
+// Checks the image's width and height against the field's limits; a no-op for non-image fields
+const assertAllowedImageDimensions = (fieldname, buffer, mimeType) => {
+    const policy = getUploadPolicy(fieldname);
+    if (!policy.maxWidth) return null;
+
+    const dimensions = getImageDimensions(buffer, mimeType);
+    if (!dimensions || !dimensions.width || !dimensions.height) {
+        throw new ApiError(400, `${policy.label} is not a readable image`, [{ code: "INVALID_IMAGE", field: fieldname }]);
+    }
+
+    if (dimensions.width > policy.maxWidth || dimensions.height > policy.maxHeight) {
+        throw new ApiError(422, `${policy.label} can be at most ${policy.maxWidth}x${policy.maxHeight} pixels`, [{
+            code: "IMAGE_DIMENSIONS_EXCEEDED",
+            field: fieldname,
+            width: dimensions.width,
+            height: dimensions.height,
+            maxWidth: policy.maxWidth,
+            maxHeight: policy.maxHeight,
+        }]);
+    }
+    return dimensions;
+};
+
+export {
+    UPLOAD_POLICIES,
+    getUploadPolicy,
+    assertAllowedFileType,
+    assertAllowedFileSize,
+    assertAllowedImageDimensions,
+}
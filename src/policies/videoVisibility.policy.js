@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+import { Subscription } from "../models/subscription.models.js";
+import { canManageContent } from "./ownership.policy.js";
+
+// Who can see a video, based on its visibility (see VIDEO_VISIBILITIES on the Video model)
+
+// Single video reached by ID. Owners (and moderators) always can.
+const canViewVideo = async (user, video) => {
+    if (!video) return false;
+    if (canManageContent(user, video)) return true;
+
+    switch (video.visibility) {
+        case "public":
+        case "unlisted":
+            return true;
+        case "subscribers": {
+            if (!user?._id) return false;
+            const ownerId = video.owner?._id ?? video.owner;
+            return Boolean(await Subscription.exists({ subscriber: user._id, channel: ownerId }));
+        }
+        default:
+            return false;
+    }
+};
+
+// Query filter for listing videos as `user`, usable in $match (including $lookup pipelines).
+// includeUnlisted: for lists of videos the user picked by ID (likes, playlists, history),
+//                  never for browsing or search.
+// includeOwn:      also return all of the user's own videos, whatever their visibility.
+const getVisibleVideoFilter = async (user, { includeUnlisted = false, includeOwn = false } = {}) => {
+    const userId = user?._id ? new mongoose.Types.ObjectId(user._id) : null;
+    const subscribedChannelIds = userId
+        ? await Subscription.find({ subscriber: userId }).distinct("channel")
+        : [];
+
+    const conditions = [
+        { visibility: { $in: includeUnlisted ? ["public", "unlisted"] : ["public"] } },
+    ];
+    if (subscribedChannelIds.length) {
+        conditions.push({ visibility: "subscribers", owner: { $in: subscribedChannelIds } });
+    }
+    if (includeOwn && userId) {
+        conditions.push({ owner: userId });
+    }
+
+    return { $or: conditions };
+};
+
+export { canViewVideo, getVisibleVideoFilter }
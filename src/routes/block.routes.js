@@ -0,0 +1,15 @@
+import { Router } from 'express';
+import {
+    blockUser,
+    getBlockedUsers,
+    unblockUser,
+} from "../controllers/block.controller.js"
+import {verifyJWT} from "../middlewares/auth.middleware.js"
+
+const router = Router();
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+router.route("/").get(getBlockedUsers);
+router.route("/:userId").post(blockUser).delete(unblockUser);
+
+export default router
@@ -5,13 +5,15 @@ import {
     getVideoComments,
     updateComment,
 } from "../controllers/comment.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {assertRoutesDeclareScopes, requireScope, requireVerifiedEmail, verifyJWT} from "../middlewares/auth.middleware.js"
 
 const router = Router();
 
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/:videoId").get(getVideoComments).post(addComment);
-router.route("/c/:commentId").delete(deleteComment).patch(updateComment);
+router.route("/:videoId").get(requireScope("comments:read"), getVideoComments).post(requireScope("comments:write"), requireVerifiedEmail, addComment);
+router.route("/c/:commentId").delete(requireScope("comments:delete"), deleteComment).patch(requireScope("comments:write"), updateComment);
+
+assertRoutesDeclareScopes(router);
 
 export default router
\ No newline at end of file
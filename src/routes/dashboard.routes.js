@@ -3,13 +3,15 @@ import {
     getChannelStats,
     getChannelVideos,
 } from "../controllers/dashboard.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {assertRoutesDeclareScopes, requireScope, verifyJWT} from "../middlewares/auth.middleware.js"
 
 const router = Router();
 
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/stats").get(getChannelStats);
-router.route("/videos").get(getChannelVideos);
+router.route("/stats").get(requireScope("dashboard:read"), getChannelStats);
+router.route("/videos").get(requireScope("dashboard:read"), getChannelVideos);
+
+assertRoutesDeclareScopes(router);
 
 export default router
\ No newline at end of file
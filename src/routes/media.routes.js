@@ -0,0 +1,49 @@
+import express, { Router } from 'express';
+import path from "path";
+import { ApiError } from "../utils/ApiError.js"
+import { getStorageDir, isMediaExtension, localDiskStorage, verifySignedUrl } from "../storage/localDisk.storage.js"
+import { isPrivateVideoAsset } from "../services/videoMedia.service.js"
+
+// Serves files kept by the local disk storage provider. Files of private and subscribers-only
+// videos need a valid signed URL (handed out by the video endpoints); the rest are public, like
+// Cloudinary delivery URLs. They come from users but share the API's origin, so browsers must
+// not sniff their type, and only images and videos are shown inline; anything else downloads.
+const router = Router();
+
+router.use(async (req, res, next) => {
+    try {
+        let assetId;
+        try {
+            assetId = decodeURIComponent(req.path.slice(1));
+        } catch {
+            return next(new ApiError(404, "File not found"));
+        }
+
+        // Same answer as for a missing file, so private files can't be probed
+        const isPrivate = await isPrivateVideoAsset({ provider: localDiskStorage.name, assetId });
+        if (isPrivate && !verifySignedUrl(assetId, req.query)) {
+            return next(new ApiError(404, "File not found"));
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+router.use(express.static(getStorageDir(), {
+    index: false,
+    dotfiles: "deny",
+    setHeaders: (res, filePath) => {
+        res.set("X-Content-Type-Options", "nosniff");
+        if (!isMediaExtension(path.extname(filePath))) {
+            res.attachment();
+            res.type("application/octet-stream");
+        }
+    },
+}));
+
+router.use((req, res, next) => {
+    next(new ApiError(404, "File not found"));
+});
+
+export default router
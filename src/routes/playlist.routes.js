@@ -8,23 +8,25 @@ import {
     removeVideoFromPlaylist,
     updatePlaylist,
 } from "../controllers/playlist.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {assertRoutesDeclareScopes, requireScope, verifyJWT} from "../middlewares/auth.middleware.js"
 
 const router = Router();
 
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/").post(createPlaylist)
+router.route("/").post(requireScope("playlists:write"), createPlaylist)
 
 router
     .route("/:playlistId")
-    .get(getPlaylistById)
-    .patch(updatePlaylist)
-    .delete(deletePlaylist);
+    .get(requireScope("playlists:read"), getPlaylistById)
+    .patch(requireScope("playlists:write"), updatePlaylist)
+    .delete(requireScope("playlists:delete"), deletePlaylist);
 
-router.route("/add/:videoId/:playlistId").patch(addVideoToPlaylist);
-router.route("/remove/:videoId/:playlistId").patch(removeVideoFromPlaylist);
+router.route("/add/:videoId/:playlistId").patch(requireScope("playlists:write"), addVideoToPlaylist);
+router.route("/remove/:videoId/:playlistId").patch(requireScope("playlists:write"), removeVideoFromPlaylist);
 
-router.route("/user/:userId").get(getUserPlaylists);
+router.route("/user/:userId").get(requireScope("playlists:read"), getUserPlaylists);
+
+assertRoutesDeclareScopes(router);
 
 export default router
\ No newline at end of file
@@ -0,0 +1,21 @@
+import { Router } from 'express';
+import {
+    clearSearchHistory,
+    getSearchHistory,
+    getSuggestions,
+    removeSearchHistoryEntry,
+    searchAll
+} from "../controllers/search.controller.js"
+import {assertRoutesDeclareScopes, requireScope, verifyJWT} from "../middlewares/auth.middleware.js"
+
+const router = Router();
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+router.route("/").get(requireScope("search:read"), searchAll);
+router.route("/suggestions").get(requireScope("search:read"), getSuggestions);
+router.route("/history").get(requireScope("search:read"), getSearchHistory).delete(requireScope("search:write"), clearSearchHistory);
+router.route("/history/:entryId").delete(requireScope("search:write"), removeSearchHistoryEntry);
+
+assertRoutesDeclareScopes(router);
+
+export default router
@@ -5,13 +5,15 @@ import {
     getUserTweets,
     updateTweet,
 } from "../controllers/tweet.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {assertRoutesDeclareScopes, requireScope, requireVerifiedEmail, verifyJWT} from "../middlewares/auth.middleware.js"
 
 const router = Router();
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/").post(createTweet);
-router.route("/user/:userId").get(getUserTweets);
-router.route("/:tweetId").patch(updateTweet).delete(deleteTweet);
+router.route("/").post(requireScope("tweets:write"), requireVerifiedEmail, createTweet);
+router.route("/user/:userId").get(requireScope("tweets:read"), getUserTweets);
+router.route("/:tweetId").patch(requireScope("tweets:write"), updateTweet).delete(requireScope("tweets:delete"), deleteTweet);
+
+assertRoutesDeclareScopes(router);
 
 export default router
\ No newline at end of file
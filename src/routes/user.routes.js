@@ -1,10 +1,16 @@
 import { Router } from "express";
 import {
-  changeCurrentPassword, getCurrentUser, getUserChannelProfile, getWatchHistory, loginUser, logoutUser,
-  refreshAccessToken, registerUser, updateAccountDetails, updateUserAvatar, updateUserCoverImage
+  changeCurrentPassword, changeUsername, clearWatchHistory, createPersonalAccessToken, deleteAccount,
+  disableTwoFactor, downloadDataExport, enrollTwoFactor, forgotPassword, getActiveSessions, getCurrentUser,
+  getDataExport, getLockoutEvents, getOidcLoginProviders, getPersonalAccessTokens, getUserChannelProfile,
+  getUsernameHistory, getWatchHistory, handleOidcCallback, loginUser, logoutAllSessions, logoutUser,
+  pauseWatchHistory, refreshAccessToken, registerUser, removeWatchHistoryEntry, requestDataExport,
+  resendVerificationEmail, resetPassword, restoreAccount, resumeWatchHistory, revokePersonalAccessToken,
+  revokeSession, startOidcLogin, updateAccountDetails, updateChannelProfile, updatePrivacySettings, updateUserAvatar,
+  updateUserCoverImage, updateUserRole, verifyEmail, verifyTwoFactorEnrollment, verifyTwoFactorLogin
 } from "../controllers/user.controller.js";
 import { upload } from "../middlewares/multer.middleware.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { authorize, verifyJWT } from "../middlewares/auth.middleware.js";
 
 const router = Router()
 
@@ -23,16 +29,48 @@ router.route("/register").post(
 )
 
 router.route("/login").post(loginUser)
+router.route("/2fa/login").post(verifyTwoFactorLogin)
+router.route("/oidc").get(getOidcLoginProviders)
+router.route("/oidc/:provider").get(startOidcLogin)
+router.route("/oidc/:provider/callback").get(handleOidcCallback)
+router.route("/forgot-password").post(forgotPassword)
+router.route("/reset-password").post(resetPassword)
+router.route("/verify-email").post(verifyEmail)
+router.route("/exports/:exportId/download").get(downloadDataExport)
+router.route("/restore-account").post(restoreAccount)
 
 // secured routes
 router.route("/logout").post(verifyJWT, logoutUser)
+router.route("/logout-all").post(verifyJWT, logoutAllSessions)
+router.route("/sessions").get(verifyJWT, getActiveSessions)
+router.route("/sessions/:sessionId").delete(verifyJWT, revokeSession)
+router.route("/tokens").get(verifyJWT, getPersonalAccessTokens).post(verifyJWT, createPersonalAccessToken)
+router.route("/tokens/:tokenId").delete(verifyJWT, revokePersonalAccessToken)
 router.route("/refresh-token").post(refreshAccessToken)
 router.route("/change-password").post(verifyJWT, changeCurrentPassword)
+router.route("/resend-verification").post(verifyJWT, resendVerificationEmail)
+router.route("/2fa/enroll").post(verifyJWT, enrollTwoFactor)
+router.route("/2fa/verify").post(verifyJWT, verifyTwoFactorEnrollment)
+router.route("/2fa/disable").post(verifyJWT, disableTwoFactor)
 router.route("/current-user").get(verifyJWT, getCurrentUser)
+router.route("/me").delete(verifyJWT, deleteAccount)
+router.route("/me/exports").post(verifyJWT, requestDataExport)
+router.route("/me/exports/:exportId").get(verifyJWT, getDataExport)
 router.route("/update-account").patch(verifyJWT, updateAccountDetails)
+router.route("/username").patch(verifyJWT, changeUsername)
+router.route("/username/history").get(verifyJWT, getUsernameHistory)
+router.route("/profile").patch(verifyJWT, updateChannelProfile)
+router.route("/privacy").patch(verifyJWT, updatePrivacySettings)
 router.route("/avatar").patch(verifyJWT, upload.single("avatar"), updateUserAvatar)
 router.route("/cover-image").patch(verifyJWT, upload.single("coverImage"), updateUserCoverImage)
 router.route("/c/:username").get(verifyJWT, getUserChannelProfile)
-router.route("/watchHistory").get(verifyJWT, getWatchHistory)
+router.route("/watchHistory").get(verifyJWT, getWatchHistory).delete(verifyJWT, clearWatchHistory)
+router.route("/watchHistory/pause").post(verifyJWT, pauseWatchHistory)
+router.route("/watchHistory/resume").post(verifyJWT, resumeWatchHistory)
+router.route("/watchHistory/:videoId").delete(verifyJWT, removeWatchHistoryEntry)
+
+// admin routes
+router.route("/role/:userId").patch(verifyJWT, authorize("users:manage"), updateUserRole)
+router.route("/lockouts").get(verifyJWT, authorize("admin"), getLockoutEvents)
 
 export default router
@@ -1,22 +1,45 @@
-import { Router } from 'express';
+import express, { Router } from 'express';
 import {
+    cancelUpload,
+    completeUpload,
+    createUploadSession,
     deleteVideo,
     getAllVideos,
+    getContinueWatching,
+    getPopularTags,
+    getVideoCategories,
+    getVideosByCategory,
+    getUploadSession,
     getVideoById,
     publishAVideo,
+    recordView,
+    startView,
     togglePublishStatus,
     updateVideo,
+    updateWatchProgress,
+    uploadChunk,
 } from "../controllers/video.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {assertRoutesDeclareScopes, optionalJWT, requireScope, requireVerifiedEmail, verifyJWT} from "../middlewares/auth.middleware.js"
 import {upload} from "../middlewares/multer.middleware.js"
+import { rateLimit } from "../middlewares/rateLimit.middleware.js"
+import { MAX_CHUNK_SIZE } from "../services/uploadSession.service.js"
+import { getViewRateLimit } from "../services/videoView.service.js"
 
 const router = Router();
-router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+// Views can be recorded by anonymous viewers too, so these routes sit before verifyJWT.
+// Playback (views, progress) only needs "videos:read" from a personal access token.
+router.route("/:videoId/views/start").post(rateLimit("video-view-starts", getViewRateLimit), optionalJWT, requireScope("videos:read"), startView);
+router.route("/:videoId/views").post(rateLimit("video-views", getViewRateLimit), optionalJWT, requireScope("videos:read"), recordView);
+
+router.use(verifyJWT); // Apply verifyJWT middleware to all other routes in this file
 
 router
     .route("/")
-    .get(getAllVideos)
+    .get(requireScope("videos:read"), getAllVideos)
     .post(
+        requireScope("videos:upload"),
+        requireVerifiedEmail, // before multer, so unverified users can't stream files to disk
         upload.fields([
             {
                 name: "videoFile",
@@ -31,12 +54,33 @@ router
         publishAVideo
     );
 
+// Resumable uploads
+router.route("/uploads").post(requireScope("videos:upload"), requireVerifiedEmail, createUploadSession);
+router
+    .route("/uploads/:uploadId")
+    .get(requireScope("videos:upload"), getUploadSession)
+    .delete(requireScope("videos:upload"), cancelUpload);
+router
+    .route("/uploads/:uploadId/chunks/:index")
+    .put(requireScope("videos:upload"), express.raw({ type: () => true, limit: MAX_CHUNK_SIZE }), uploadChunk);
+router
+    .route("/uploads/:uploadId/complete")
+    .post(requireScope("videos:upload"), requireVerifiedEmail, upload.single("thumbnail"), completeUpload);
+
+router.route("/continue-watching").get(requireScope("videos:read"), getContinueWatching);
+router.route("/tags/popular").get(requireScope("videos:read"), getPopularTags);
+router.route("/categories").get(requireScope("videos:read"), getVideoCategories);
+router.route("/categories/:category").get(requireScope("videos:read"), getVideosByCategory);
+
 router
     .route("/:videoId")
-    .get(getVideoById)
-    .delete(deleteVideo)
-    .patch(upload.single("thumbnail"), updateVideo);
+    .get(requireScope("videos:read"), getVideoById)
+    .delete(requireScope("videos:delete"), deleteVideo)
+    .patch(requireScope("videos:write"), upload.single("thumbnail"), updateVideo);
+
+router.route("/:videoId/progress").put(requireScope("videos:read"), updateWatchProgress);
+router.route("/toggle/publish/:videoId").patch(requireScope("videos:write"), requireVerifiedEmail, togglePublishStatus);
 
-router.route("/toggle/publish/:videoId").patch(togglePublishStatus);
+assertRoutesDeclareScopes(router);
 
 export default router
\ No newline at end of file
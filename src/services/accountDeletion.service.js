@@ -0,0 +1,120 @@
+import { User } from "../models/user.models.js";
+import { Video } from "../models/video.models.js";
+import { Comment } from "../models/comment.models.js";
+import { Like } from "../models/like.models.js";
+import { Tweet } from "../models/tweet.models.js";
+import { Playlist } from "../models/playlist.models.js";
+import { Subscription } from "../models/subscription.models.js";
+import { Block } from "../models/block.models.js";
+import { UsernameHistory } from "../models/usernameHistory.models.js";
+import { VideoView } from "../models/videoView.models.js";
+import { WatchProgress } from "../models/watchProgress.models.js";
+import { WatchHistory } from "../models/watchHistory.models.js";
+import { SearchHistory } from "../models/searchHistory.models.js";
+import { Session } from "../models/session.models.js";
+import { PersonalAccessToken } from "../models/personalAccessToken.models.js";
+import { ExternalIdentity } from "../models/externalIdentity.models.js";
+import { deleteAssetOrQueue } from "./assetDeletion.service.js";
+import { deleteUserUploadSessions } from "./uploadSession.service.js";
+import { deleteUserExports } from "./dataExport.service.js";
+import { deleteUserLoginRecords } from "./loginThrottle.service.js";
+
+// A failed remote delete must not leave the account half purged; it is queued for retry instead
+const safeDeleteAsset = async (asset) => {
+    await deleteAssetOrQueue(asset);
+};
+
+// Removes a user and everything they leave behind. Every step is idempotent,
+// and the user document goes last, so an interrupted purge is simply picked up again.
+const purgeUserAccount = async (userId) => {
+    const user = await User.findById(userId);
+    if (!user) return;
+
+    // 1. Collect what the user owns
+    const videos = await Video.find({ owner: userId }).select("videoFileAsset thumbnailAsset").lean();
+    const videoIds = videos.map((video) => video._id);
+    const tweetIds = await Tweet.find({ owner: userId }).distinct("_id");
+    const commentIds = await Comment.find({
+        $or: [{ owner: userId }, { video: { $in: videoIds } }]
+    }).distinct("_id");
+
+    // 2. Remote media of their videos
+    for (const video of videos) {
+        await safeDeleteAsset(video.videoFileAsset);
+        await safeDeleteAsset(video.thumbnailAsset);
+    }
+
+    // 3. Likes they gave and likes on their content
+    await Like.deleteMany({
+        $or: [
+            { likedBy: userId },
+            { video: { $in: videoIds } },
+            { tweet: { $in: tweetIds } },
+            { comment: { $in: commentIds } },
+        ]
+    });
+
+    // 4. Their comments, comments on their videos, tweets and playlists
+    await Comment.deleteMany({ _id: { $in: commentIds } });
+    await Tweet.deleteMany({ owner: userId });
+    await Playlist.deleteMany({ owner: userId });
+
+    // 5. Subscriptions and blocks in both directions
+    await Subscription.deleteMany({ $or: [{ subscriber: userId }, { channel: userId }] });
+    await Block.deleteMany({ $or: [{ blocker: userId }, { blocked: userId }] });
+
+    // 6. References to their videos held by other users, and their own viewing data
+    if (videoIds.length) {
+        await Playlist.updateMany({ videos: { $in: videoIds } }, { $pull: { videos: { $in: videoIds } } });
+    }
+    await WatchHistory.deleteMany({ $or: [{ user: userId }, { video: { $in: videoIds } }] });
+    await VideoView.deleteMany({ $or: [{ viewer: userId }, { video: { $in: videoIds } }] });
+    await WatchProgress.deleteMany({ $or: [{ user: userId }, { video: { $in: videoIds } }] });
+    await SearchHistory.deleteMany({ user: userId });
+
+    // 7. The videos, sessions, tokens, linked identities, unfinished uploads, data exports,
+    //    login throttling records, profile images and finally the user
+    await Video.deleteMany({ owner: userId });
+    await Session.deleteMany({ user: userId });
+    await PersonalAccessToken.deleteMany({ user: userId });
+    await ExternalIdentity.deleteMany({ user: userId });
+    await deleteUserUploadSessions(userId);
+    await deleteUserExports(userId);
+    await deleteUserLoginRecords(userId);
+    await UsernameHistory.deleteMany({ user: userId });
+    await safeDeleteAsset(user.avatarAsset);
+    await safeDeleteAsset(user.coverImageAsset);
+    await User.deleteOne({ _id: userId });
+};
+
+// Purges every account whose grace period is over. A user is claimed before purging
+// so several app instances running this at once don't work on the same account.
+const purgeExpiredAccounts = async () => {
+    const staleClaim = new Date(Date.now() - 60 * 60 * 1000);
+    let purgedCount = 0;
+
+    while (true) {
+        const user = await User.findOneAndUpdate(
+            {
+                deletionScheduledFor: { $ne: null, $lte: new Date() },
+                $or: [{ deletionPurgeStartedAt: null }, { deletionPurgeStartedAt: { $lt: staleClaim } }]
+            },
+            { $set: { deletionPurgeStartedAt: new Date() } },
+            { new: true }
+        ).select("_id");
+
+        if (!user) break;
+
+        try {
+            await purgeUserAccount(user._id);
+            purgedCount++;
+        } catch (error) {
+            // Left claimed; it is retried once the claim goes stale
+            console.error(`Failed to purge account ${user._id}:`, error);
+        }
+    }
+
+    return purgedCount;
+};
+
+export { purgeUserAccount, purgeExpiredAccounts }
@@ -0,0 +1,121 @@
+import { PendingAssetDeletion } from "../models/pendingAssetDeletion.models.js";
+import { deleteFile } from "../storage/index.js";
+
+const MAX_RETRY_DELAY_MS = 24 * 60 * 60 * 1000;
+
+// 1, 2, 4, ... minutes after each failed attempt, capped at a day
+const getRetryDelay = (attempts) => Math.min(2 ** attempts * 60 * 1000, MAX_RETRY_DELAY_MS);
+
+const queueAssetDeletion = async ({ provider, assetId, resourceType }, error) => {
+    await PendingAssetDeletion.updateOne(
+        { provider, assetId, resourceType },
+        {
+            $set: { lastError: error?.message || String(error) },
+            $setOnInsert: { attempts: 0, nextAttemptAt: new Date(), claimedAt: null },
+        },
+        { upsert: true }
+    );
+};
+
+// Deletes a stored file ({ provider, assetId, resourceType } as kept on the document).
+// On failure the deletion is queued for retry instead of being lost.
+// Returns true if the file is gone now (or there was none), false if it was queued.
+const deleteAssetOrQueue = async (asset) => {
+    if (!asset?.assetId) return true;
+    const { provider, assetId, resourceType = "image" } = asset;
+    try {
+        await deleteFile({ provider, assetId, resourceType });
+        return true;
+    } catch (error) {
+        console.error(`Failed to delete ${resourceType} from ${provider} storage (${assetId}), queued for retry:`, error);
+        await queueAssetDeletion({ provider, assetId, resourceType }, error);
+        return false;
+    }
+};
+
+// Retries queued deletions that are due. Entries are claimed one at a time so several
+// app instances can run this together; a claim older than an hour counts as abandoned.
+const retryPendingAssetDeletions = async () => {
+    const staleClaim = new Date(Date.now() - 60 * 60 * 1000);
+    let deletedCount = 0;
+
+    while (true) {
+        const pending = await PendingAssetDeletion.findOneAndUpdate(
+            {
+                nextAttemptAt: { $lte: new Date() },
+                $or: [{ claimedAt: null }, { claimedAt: { $lt: staleClaim } }]
+            },
+            { $set: { claimedAt: new Date() } },
+            { new: true, sort: { nextAttemptAt: 1 } }
+        );
+        if (!pending) break;
+
+        try {
+            await deleteFile({ provider: pending.provider, assetId: pending.assetId, resourceType: pending.resourceType });
+            await PendingAssetDeletion.deleteOne({ _id: pending._id });
+            deletedCount++;
+        } catch (error) {
+            const attempts = pending.attempts + 1;
+            await PendingAssetDeletion.updateOne(
+                { _id: pending._id },
+                {
+                    $set: {
+                        attempts,
+                        lastError: error?.message || String(error),
+                        nextAttemptAt: new Date(Date.now() + getRetryDelay(attempts)),
+                        claimedAt: null,
+                    }
+                }
+            );
+        }
+    }
+
+    return deletedCount;
+};
+
+const LEGACY_INDEX_NAME = "provider_1_publicId_1_resourceType_1";
+
+// Queued deletions used to keep the asset ID in `publicId`; moves it to `assetId`.
+// The old unique index is dropped first, since every renamed entry would count as a
+// null `publicId` under it, and the new one is built once no entry lacks `assetId`.
+// Safe to run on every start.
+const migrateLegacyPendingDeletions = async () => {
+    const collection = PendingAssetDeletion.collection;
+
+    try {
+        await collection.dropIndex(LEGACY_INDEX_NAME);
+    } catch (error) {
+        // 26: the collection doesn't exist yet, 27: the index is already gone
+        if (error?.code !== 26 && error?.code !== 27) throw error;
+    }
+
+    const entries = await collection
+        .find({ publicId: { $exists: true } }, { projection: { provider: 1, publicId: 1, resourceType: 1 } })
+        .toArray();
+
+    let migratedCount = 0;
+    for (const entry of entries) {
+        const alreadyQueued = await collection.findOne({
+            provider: entry.provider,
+            assetId: entry.publicId,
+            resourceType: entry.resourceType,
+        });
+        if (alreadyQueued) {
+            // The same file was queued again under `assetId`; that entry covers it
+            await collection.deleteOne({ _id: entry._id });
+            continue;
+        }
+        await collection.updateOne({ _id: entry._id }, { $rename: { publicId: "assetId" } });
+        migratedCount++;
+    }
+
+    // The automatic index build fails while several entries still lack `assetId`
+    await PendingAssetDeletion.createIndexes();
+
+    if (migratedCount) {
+        console.log(`Pending asset deletions: moved ${migratedCount} legacy deletion(s) to assetId`);
+    }
+    return migratedCount;
+};
+
+export { deleteAssetOrQueue, retryPendingAssetDeletions, migrateLegacyPendingDeletions }
@@ -0,0 +1,171 @@
+import fs from "fs";
+import path from "path";
+import archiver from "archiver";
+import { User } from "../models/user.models.js";
+import { Video } from "../models/video.models.js";
+import { Comment } from "../models/comment.models.js";
+import { Like } from "../models/like.models.js";
+import { Tweet } from "../models/tweet.models.js";
+import { Playlist } from "../models/playlist.models.js";
+import { Subscription } from "../models/subscription.models.js";
+import { Block } from "../models/block.models.js";
+import { WatchProgress } from "../models/watchProgress.models.js";
+import { WatchHistory } from "../models/watchHistory.models.js";
+import { SearchHistory } from "../models/searchHistory.models.js";
+import { DataExport } from "../models/dataExport.models.js";
+
+// Outside of public/ on purpose: archives are only handed out through the signed download link
+const getExportDir = () => process.env.DATA_EXPORT_DIR || "./exports";
+
+// Everything the platform holds about a user, one JSON document per section
+const collectUserData = async (userId) => {
+    const profile = await User.findById(userId)
+        .select("username email fullName avatar coverImage bio links country privacy role isEmailVerified isTwoFactorEnabled isWatchHistoryPaused createdAt updatedAt")
+        .lean() || {};
+
+    const watchHistory = await WatchHistory.find({ user: userId })
+        .sort({ watchedAt: -1 })
+        .select("video watchedAt")
+        .populate("video", "title owner createdAt")
+        .lean();
+
+    const [videos, comments, likes, tweets, playlists, subscribedTo, subscribers, blocks, watchProgress, searchHistory] = await Promise.all([
+        Video.find({ owner: userId }).lean(),
+        Comment.find({ owner: userId }).lean(),
+        Like.find({ likedBy: userId }).lean(),
+        Tweet.find({ owner: userId }).lean(),
+        Playlist.find({ owner: userId }).lean(),
+        Subscription.find({ subscriber: userId }).populate("channel", "username fullName").lean(),
+        Subscription.find({ channel: userId }).populate("subscriber", "username fullName").lean(),
+        Block.find({ blocker: userId }).populate("blocked", "username fullName").lean(),
+        WatchProgress.find({ user: userId }).populate("video", "title").lean(),
+        SearchHistory.find({ user: userId }).sort({ searchedAt: -1 }).select("query searchedAt").lean(),
+    ]);
+
+    return {
+        "profile.json": profile,
+        "watch-history.json": watchHistory,
+        "watch-progress.json": watchProgress,
+        "search-history.json": searchHistory,
+        "videos.json": videos,
+        "comments.json": comments,
+        "likes.json": likes,
+        "tweets.json": tweets,
+        "playlists.json": playlists,
+        "subscriptions.json": { subscribedTo, subscribers },
+        "blocked-users.json": blocks,
+    };
+};
+
+const writeArchive = (filePath, files) => {
+    return new Promise((resolve, reject) => {
+        const output = fs.createWriteStream(filePath);
+        const archive = archiver("zip", { zlib: { level: 9 } });
+
+        output.on("close", () => resolve(archive.pointer()));
+        output.on("error", (error) => {
+            archive.abort();
+            reject(error);
+        });
+        archive.on("error", reject);
+        archive.pipe(output);
+
+        for (const [name, content] of Object.entries(files)) {
+            archive.append(JSON.stringify(content, null, 2), { name });
+        }
+        archive.append(
+            JSON.stringify({ exportedAt: new Date().toISOString(), files: Object.keys(files) }, null, 2),
+            { name: "manifest.json" }
+        );
+        archive.finalize();
+    });
+};
+
+const buildExport = async (dataExport) => {
+    const exportDir = getExportDir();
+    await fs.promises.mkdir(exportDir, { recursive: true });
+
+    const filePath = path.join(exportDir, `${dataExport._id}.zip`);
+    const files = await collectUserData(dataExport.user);
+    const fileSize = await writeArchive(filePath, files);
+
+    const retentionHours = Number(process.env.DATA_EXPORT_RETENTION_HOURS) || 48;
+    const { matchedCount } = await DataExport.updateOne(
+        { _id: dataExport._id },
+        {
+            $set: {
+                status: "completed",
+                filePath,
+                fileSize,
+                completedAt: new Date(),
+                expiresAt: new Date(Date.now() + retentionHours * 60 * 60 * 1000),
+            },
+        }
+    );
+
+    // The export was deleted meanwhile (its account was purged): don't leave the archive behind
+    if (!matchedCount) {
+        await fs.promises.rm(filePath, { force: true });
+    }
+};
+
+// Works through queued exports one at a time; claiming first keeps multiple instances apart
+const processQueuedExports = async () => {
+    let processedCount = 0;
+
+    while (true) {
+        const dataExport = await DataExport.findOneAndUpdate(
+            { status: "queued" },
+            { $set: { status: "processing", startedAt: new Date() } },
+            { sort: { createdAt: 1 }, new: true }
+        );
+
+        if (!dataExport) break;
+
+        try {
+            await buildExport(dataExport);
+        } catch (error) {
+            console.error(`Data export ${dataExport._id} failed:`, error);
+            await DataExport.updateOne(
+                { _id: dataExport._id },
+                { $set: { status: "failed", error: "Export could not be created" } }
+            );
+        }
+        processedCount++;
+    }
+
+    return processedCount;
+};
+
+// Deletes archives past their retention period and requeues exports stuck by a crash
+const cleanUpExports = async () => {
+    const expiredExports = await DataExport.find({
+        status: "completed",
+        expiresAt: { $lte: new Date() },
+    }).select("+filePath");
+
+    for (const dataExport of expiredExports) {
+        await fs.promises.rm(dataExport.filePath, { force: true });
+        dataExport.status = "expired";
+        dataExport.filePath = undefined;
+        await dataExport.save();
+    }
+
+    await DataExport.updateMany(
+        { status: "processing", startedAt: { $lt: new Date(Date.now() - 60 * 60 * 1000) } },
+        { $set: { status: "queued" } }
+    );
+};
+
+// Removes every export of a user together with its archive (account purge)
+const deleteUserExports = async (userId) => {
+    const dataExports = await DataExport.find({ user: userId }).select("+filePath");
+    for (const dataExport of dataExports) {
+        if (dataExport.filePath) {
+            await fs.promises.rm(dataExport.filePath, { force: true });
+        }
+    }
+    await DataExport.deleteMany({ user: userId });
+};
+
+export { processQueuedExports, cleanUpExports, deleteUserExports }
@@ -0,0 +1,17 @@
+import { User } from "../models/user.models.js";
+
+// Accounts created before email verification existed have no isEmailVerified at all.
+// They signed up under the old rules, so they count as verified instead of being locked
+// out by requireVerifiedEmail. Safe to run on every start: new accounts always store the flag.
+const migrateLegacyEmailVerification = async () => {
+    const { modifiedCount } = await User.collection.updateMany(
+        { isEmailVerified: { $exists: false } },
+        { $set: { isEmailVerified: true } }
+    );
+    if (modifiedCount) {
+        console.log(`Email verification: marked ${modifiedCount} existing account(s) as verified`);
+    }
+    return modifiedCount;
+};
+
+export { migrateLegacyEmailVerification }
@@ -0,0 +1,118 @@
+import { LoginThrottle } from "../models/loginThrottle.models.js";
+import { LockoutEvent } from "../models/lockoutEvent.models.js";
+import { ApiError } from "../utils/ApiError.js";
+
+const getSettings = () => ({
+    delayAfterFailures: Number(process.env.LOGIN_DELAY_AFTER_FAILURES) || 3,
+    maxDelaySeconds: Number(process.env.LOGIN_MAX_DELAY_SECONDS) || 60,
+    accountLockoutFailures: Number(process.env.LOGIN_ACCOUNT_LOCKOUT_FAILURES) || 10,
+    ipLockoutFailures: Number(process.env.LOGIN_IP_LOCKOUT_FAILURES) || 50,
+    lockoutMinutes: Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    counterTtlHours: Number(process.env.LOGIN_FAILURE_TTL_HOURS) || 24,
+});
+
+const accountKey = (userId) => `user:${userId}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// ApiError carrying a machine readable code and the Retry-After header for the error middleware
+const throttleError = (statusCode, code, message, retryAfterSeconds) => {
+    const error = new ApiError(statusCode, message, [{ code, retryAfter: retryAfterSeconds }]);
+    error.headers = { "Retry-After": String(retryAfterSeconds) };
+    return error;
+};
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+// Throws when the key is locked out or still inside its progressive delay
+const assertKeyAllowed = (throttle, scope) => {
+    if (!throttle) return;
+    const { delayAfterFailures, maxDelaySeconds } = getSettings();
+
+    if (throttle.lockedUntil && throttle.lockedUntil > new Date()) {
+        const retryAfter = secondsUntil(throttle.lockedUntil);
+        throw scope === "account"
+            ? throttleError(423, "ACCOUNT_LOCKED", "Too many failed login attempts. The account is temporarily locked", retryAfter)
+            : throttleError(429, "IP_LOCKED", "Too many failed login attempts from this network. Try again later", retryAfter);
+    }
+
+    if (throttle.failedCount >= delayAfterFailures && throttle.lastFailedAt) {
+        // 1s, 2s, 4s, ... capped at maxDelaySeconds
+        const delaySeconds = Math.min(2 ** (throttle.failedCount - delayAfterFailures), maxDelaySeconds);
+        const retryAt = new Date(throttle.lastFailedAt.getTime() + delaySeconds * 1000);
+        if (retryAt > new Date()) {
+            throw throttleError(429, "LOGIN_THROTTLED", "Too many failed login attempts. Please wait before trying again", secondsUntil(retryAt));
+        }
+    }
+};
+
+const assertLoginAllowed = async ({ userId, ip }) => {
+    const [ipThrottle, accountThrottle] = await Promise.all([
+        ip ? LoginThrottle.findOne({ key: ipKey(ip) }).lean() : null,
+        userId ? LoginThrottle.findOne({ key: accountKey(userId) }).lean() : null,
+    ]);
+
+    assertKeyAllowed(ipThrottle, "ip");
+    assertKeyAllowed(accountThrottle, "account");
+};
+
+const incrementKey = async (key, { scope, userId, ip, lockoutFailures }) => {
+    const { lockoutMinutes, counterTtlHours } = getSettings();
+    const now = new Date();
+
+    const throttle = await LoginThrottle.findOneAndUpdate(
+        { key },
+        {
+            $inc: { failedCount: 1 },
+            $set: { lastFailedAt: now, expiresAt: new Date(now.getTime() + counterTtlHours * 60 * 60 * 1000) },
+        },
+        { upsert: true, new: true }
+    );
+
+    if (throttle.failedCount < lockoutFailures) return;
+
+    // Lock and start counting from zero again once the lockout is over
+    const lockedUntil = new Date(now.getTime() + lockoutMinutes * 60 * 1000);
+    const locked = await LoginThrottle.findOneAndUpdate(
+        { key, failedCount: { $gte: lockoutFailures } },
+        { $set: { lockedUntil, failedCount: 0 } },
+        { new: true }
+    );
+
+    // Only the request that actually applied the lock writes the audit record
+    if (locked) {
+        await LockoutEvent.create({
+            scope,
+            user: scope === "account" ? userId : undefined,
+            ip,
+            failedCount: throttle.failedCount,
+            lockedUntil,
+        });
+    }
+};
+
+const recordLoginFailure = async ({ userId, ip }) => {
+    const { accountLockoutFailures, ipLockoutFailures } = getSettings();
+
+    if (ip) {
+        await incrementKey(ipKey(ip), { scope: "ip", userId, ip, lockoutFailures: ipLockoutFailures });
+    }
+    if (userId) {
+        await incrementKey(accountKey(userId), { scope: "account", userId, ip, lockoutFailures: accountLockoutFailures });
+    }
+};
+
+// Called after a successful login. Only the account's counter is cleared: the IP counter
+// expires on its own, otherwise logging into an own account would reset it between guesses.
+const resetLoginFailures = async ({ userId }) => {
+    if (!userId) return;
+    await LoginThrottle.deleteOne({ key: accountKey(userId) });
+};
+
+// Removes the account's failure counter and lockout history (account purge). Counters of
+// the IPs it logged in from are shared with other accounts and expire on their own.
+const deleteUserLoginRecords = async (userId) => {
+    await LoginThrottle.deleteOne({ key: accountKey(userId) });
+    await LockoutEvent.deleteMany({ user: userId });
+};
+
+export { assertLoginAllowed, recordLoginFailure, resetLoginFailures, deleteUserLoginRecords }
@@ -0,0 +1,437 @@
+import mongoose from "mongoose";
+import { Video } from "../models/video.models.js";
+import { User } from "../models/user.models.js";
+import { Tweet } from "../models/tweet.models.js";
+import { Playlist } from "../models/playlist.models.js";
+import { Block } from "../models/block.models.js";
+import { ApiError } from "../utils/ApiError.js";
+import { escapeRegex } from "../utils/regex.js";
+import { buildTaxonomyFilter, normalizeTag } from "../utils/videoTaxonomy.js";
+import { getVisibleVideoFilter } from "../policies/videoVisibility.policy.js";
+import { ownerDetailsLookup } from "../utils/profile.js";
+import { withSignedMediaUrls } from "./videoMedia.service.js";
+import { listSearchHistory } from "./searchHistory.service.js";
+
+// Full-text search over the text indexes on Video, User, Tweet and Playlist.
+// Queries go to MongoDB's $text operator (words, "exact phrases", -excluded words),
+// never into a regular expression.
+
+const SEARCH_TYPES = ["video", "channel", "tweet", "playlist"];
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_LENGTH = 160;
+const MAX_PREFIX_LENGTH = 100;
+// At most this many of the user's own recent searches lead the suggestions
+const MAX_RECENT_SUGGESTIONS = 3;
+// Channels matching the prefix that are ranked by subscriber count
+const CHANNEL_SUGGESTION_CANDIDATES = 50;
+
+// Trims the query and rejects empty or oversized ones
+const normalizeSearchQuery = (query) => {
+    const normalized = String(query ?? "").trim().replace(/\s+/g, " ");
+    if (!normalized) {
+        throw new ApiError(400, "Search query is required");
+    }
+    if (normalized.length > MAX_QUERY_LENGTH) {
+        throw new ApiError(400, `Search query can be at most ${MAX_QUERY_LENGTH} characters`);
+    }
+    return normalized;
+};
+
+// The words to highlight: everything except excluded (-word) terms
+const getHighlightTerms = (query) => {
+    return [...new Set(
+        query
+            .replace(/"/g, " ")
+            .split(" ")
+            .filter((word) => word && !word.startsWith("-"))
+            .map((word) => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, ""))
+            .filter((word) => word.length > 1)
+    )];
+};
+
+// A window of `text` around the first matching term, with the character ranges of every
+// matched term in it: { text, highlights: [{ start, end }] }. Ranges rather than markup,
+// so clients can render them safely however they like.
+const buildSnippet = (text, terms) => {
+    const source = String(text ?? "");
+    const lower = source.toLowerCase();
+
+    const firstMatch = Math.min(...terms.map((term) => {
+        const index = lower.indexOf(term);
+        return index === -1 ? Infinity : index;
+    }));
+
+    let start = 0;
+    if (Number.isFinite(firstMatch) && firstMatch > SNIPPET_LENGTH / 3) {
+        start = firstMatch - Math.floor(SNIPPET_LENGTH / 3);
+        const wordBoundary = source.lastIndexOf(" ", start);
+        start = wordBoundary > 0 ? wordBoundary + 1 : start;
+    }
+    const end = Math.min(source.length, start + SNIPPET_LENGTH);
+
+    const prefix = start > 0 ? "…" : "";
+    const snippetText = `${prefix}${source.slice(start, end)}${end < source.length ? "…" : ""}`;
+    const snippetLower = snippetText.toLowerCase();
+
+    const highlights = [];
+    for (const term of terms) {
+        let index = snippetLower.indexOf(term);
+        while (index !== -1) {
+            highlights.push({ start: index, end: index + term.length });
+            index = snippetLower.indexOf(term, index + term.length);
+        }
+    }
+    highlights.sort((a, b) => a.start - b.start);
+
+    // Drop ranges swallowed by an earlier one (e.g. "java" inside "javascript")
+    const merged = [];
+    for (const range of highlights) {
+        const last = merged[merged.length - 1];
+        if (last && range.start < last.end) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push({ ...range });
+        }
+    }
+
+    return { text: snippetText, highlights: merged };
+};
+
+const ownerLookup = ownerDetailsLookup();
+
+// $text has to be part of the first $match stage; `conditions` are ANDed with it
+const textMatch = (query, conditions = []) => ({
+    $match: {
+        $text: { $search: query },
+        ...(conditions.length && { $and: conditions }),
+    },
+});
+
+// Runs one type's search and returns { total, results } where results are the top
+// `skip + limit` documents (the caller merges and pages them)
+const runTypedSearch = async (Model, { query, conditions, take, project }) => {
+    const [total, documents] = await Promise.all([
+        Model.countDocuments({ $text: { $search: query }, ...(conditions.length && { $and: conditions }) }),
+        Model.aggregate([
+            textMatch(query, conditions),
+            { $addFields: { score: { $meta: "textScore" } } },
+            { $sort: { score: -1, _id: -1 } },
+            { $limit: take },
+            ...project,
+        ]),
+    ]);
+    return { total, documents };
+};
+
+const objectIdFilter = (field, id) => {
+    if (!id) return null;
+    if (!mongoose.isValidObjectId(id)) {
+        throw new ApiError(400, `Invalid ${field}`);
+    }
+    return { [field]: new mongoose.Types.ObjectId(id) };
+};
+
+// Users who blocked `user`: their channels and content are left out, like on their profile
+const getBlockedByIds = async (user) => {
+    return user?._id ? Block.find({ blocked: user._id }).distinct("blocker") : [];
+};
+
+const excludeIds = (field, ids) => (ids.length ? { [field]: { $nin: ids } } : null);
+
+const searchers = {
+    video: async ({ query, user, filters, take, terms }) => {
+        const conditions = [
+            await getVisibleVideoFilter(user), // Listed videos only: no unlisted or private ones
+            buildTaxonomyFilter(filters),
+            objectIdFilter("owner", filters.userId),
+            excludeIds("owner", await getBlockedByIds(user)),
+        ].filter((condition) => condition && Object.keys(condition).length);
+
+        const { total, documents } = await runTypedSearch(Video, {
+            query, conditions, take,
+            project: [
+                ownerLookup,
+                {
+                    $project: {
+                        title: 1, description: 1, thumbnail: 1, duration: 1, views: 1,
+                        tags: 1, category: 1, createdAt: 1, score: 1,
+                        visibility: 1, thumbnailAsset: 1, // for signed URLs, not returned
+                        ownerDetails: { $first: "$ownerDetails" },
+                    },
+                },
+            ],
+        });
+
+        return {
+            total,
+            results: await Promise.all(documents.map(async ({ score, description, ...video }) => ({
+                type: "video",
+                score,
+                snippet: buildSnippet(description, terms),
+                item: await withSignedMediaUrls(video),
+            }))),
+        };
+    },
+
+    channel: async ({ query, user, take, terms }) => {
+        // Channels pending deletion are left out too
+        const conditions = [
+            { deletionScheduledFor: null },
+            excludeIds("_id", await getBlockedByIds(user)),
+        ].filter(Boolean);
+
+        const { total, documents } = await runTypedSearch(User, {
+            query, conditions, take,
+            project: [
+                {
+                    $project: {
+                        username: 1, fullName: 1, avatar: 1, bio: 1, createdAt: 1, score: 1,
+                    },
+                },
+            ],
+        });
+
+        return {
+            total,
+            results: documents.map(({ score, bio, ...channel }) => ({
+                type: "channel",
+                score,
+                snippet: buildSnippet(`${channel.fullName} (@${channel.username})${bio ? ` ${bio}` : ""}`, terms),
+                item: channel,
+            })),
+        };
+    },
+
+    tweet: async ({ query, user, filters, take, terms }) => {
+        const conditions = [
+            objectIdFilter("owner", filters.userId),
+            excludeIds("owner", await getBlockedByIds(user)),
+        ].filter(Boolean);
+
+        const { total, documents } = await runTypedSearch(Tweet, {
+            query, conditions, take,
+            project: [
+                ownerLookup,
+                { $project: { content: 1, createdAt: 1, score: 1, ownerDetails: { $first: "$ownerDetails" } } },
+            ],
+        });
+
+        return {
+            total,
+            results: documents.map(({ score, ...tweet }) => ({
+                type: "tweet",
+                score,
+                snippet: buildSnippet(tweet.content, terms),
+                item: tweet,
+            })),
+        };
+    },
+
+    playlist: async ({ query, user, filters, take, terms }) => {
+        const conditions = [
+            objectIdFilter("owner", filters.userId),
+            excludeIds("owner", await getBlockedByIds(user)),
+        ].filter(Boolean);
+
+        const { total, documents } = await runTypedSearch(Playlist, {
+            query, conditions, take,
+            project: [
+                ownerLookup,
+                {
+                    $project: {
+                        name: 1, description: 1, createdAt: 1, score: 1,
+                        totalVideos: { $size: { $ifNull: ["$videos", []] } },
+                        ownerDetails: { $first: "$ownerDetails" },
+                    },
+                },
+            ],
+        });
+
+        return {
+            total,
+            results: documents.map(({ score, description, ...playlist }) => ({
+                type: "playlist",
+                score,
+                snippet: buildSnippet(description || playlist.name, terms),
+                item: playlist,
+            })),
+        };
+    },
+};
+
+// Reads the `type` parameter: one type, a comma separated list, or nothing for all types
+const parseSearchTypes = (type) => {
+    if (!type) return SEARCH_TYPES;
+    const types = [...new Set(String(type).split(",").map((value) => value.trim().toLowerCase()).filter(Boolean))];
+    const invalid = types.filter((value) => !SEARCH_TYPES.includes(value));
+    if (invalid.length || !types.length) {
+        throw new ApiError(400, `Invalid search type. Valid types: ${SEARCH_TYPES.join(", ")}`);
+    }
+    return types;
+};
+
+// Scales a type's scores so its best match scores 1. textScore depends on the fields and
+// weights of each text index, so raw scores of different types can't be compared.
+const normalizeScores = (results) => {
+    const topScore = results[0]?.score;
+    if (!topScore) return results;
+    return results.map((result) => ({ ...result, score: result.score / topScore }));
+};
+
+// Unified search. Each requested type is searched separately, the results are merged by
+// relevance score (relative to each type's best match) and paged together. `filters` holds per-type filters (tags, category,
+// minDuration, maxDuration for videos; userId for videos, tweets and playlists).
+const search = async ({ query, user = null, types = SEARCH_TYPES, page = 1, limit = 10, filters = {} }) => {
+    const normalizedQuery = normalizeSearchQuery(query);
+    const terms = getHighlightTerms(normalizedQuery);
+    const take = page * limit;
+
+    const typedResults = await Promise.all(
+        types.map((type) => searchers[type]({ query: normalizedQuery, user, filters, take, terms }))
+    );
+
+    const totals = Object.fromEntries(types.map((type, index) => [type, typedResults[index].total]));
+    const total = typedResults.reduce((sum, { total: typeTotal }) => sum + typeTotal, 0);
+    const results = typedResults
+        .flatMap(({ results: typeResults }) => normalizeScores(typeResults))
+        .sort((a, b) => b.score - a.score)
+        .slice((page - 1) * limit, page * limit);
+
+    return {
+        query: normalizedQuery,
+        results,
+        totals,
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+    };
+};
+
+// Typeahead sources. Each returns up to `limit` suggestions starting with the prefix,
+// most popular first. Anchored regexes on escaped input only: no arbitrary patterns.
+const suggestionSources = {
+    // Video titles, by views
+    video: async ({ prefix, user, limit }) => {
+        const blockedByIds = await getBlockedByIds(user);
+        const videos = await Video.aggregate([
+            { $match: await getVisibleVideoFilter(user) },
+            ...(blockedByIds.length ? [{ $match: { owner: { $nin: blockedByIds } } }] : []),
+            { $match: { title: { $regex: `^${escapeRegex(prefix)}`, $options: "i" } } },
+            { $sort: { views: -1, _id: -1 } },
+            { $limit: limit },
+            { $project: { title: 1, views: 1 } },
+        ]);
+        return videos.map((video) => ({
+            type: "video",
+            text: video.title,
+            videoId: video._id,
+            views: video.views,
+        }));
+    },
+
+    // Channel usernames, by subscriber count
+    channel: async ({ prefix, user, limit }) => {
+        const usernamePrefix = prefix.replace(/^@/, "").toLowerCase();
+        if (!usernamePrefix) return [];
+
+        const blockedByIds = await getBlockedByIds(user);
+        const channels = await User.aggregate([
+            {
+                $match: {
+                    username: { $regex: `^${escapeRegex(usernamePrefix)}` },
+                    deletionScheduledFor: null,
+                    ...(blockedByIds.length && { _id: { $nin: blockedByIds } }),
+                },
+            },
+            { $limit: CHANNEL_SUGGESTION_CANDIDATES },
+            {
+                $lookup: {
+                    from: "subscriptions",
+                    localField: "_id",
+                    foreignField: "channel",
+                    as: "subscribers",
+                    pipeline: [{ $project: { _id: 1 } }],
+                },
+            },
+            { $addFields: { subscribersCount: { $size: "$subscribers" } } },
+            { $sort: { subscribersCount: -1, username: 1 } },
+            { $limit: limit },
+            { $project: { username: 1, fullName: 1, avatar: 1, subscribersCount: 1 } },
+        ]);
+        return channels.map((channel) => ({
+            type: "channel",
+            text: channel.username,
+            userId: channel._id,
+            fullName: channel.fullName,
+            avatar: channel.avatar,
+            subscribersCount: channel.subscribersCount,
+        }));
+    },
+
+    // Tags, by how many visible videos use them
+    tag: async ({ prefix, user, limit }) => {
+        const tagPrefix = normalizeTag(prefix);
+        if (!tagPrefix) return [];
+
+        const tagMatch = { tags: { $regex: `^${escapeRegex(tagPrefix)}` } };
+        const tags = await Video.aggregate([
+            { $match: await getVisibleVideoFilter(user) },
+            { $match: tagMatch },
+            { $unwind: "$tags" },
+            { $match: tagMatch },
+            { $group: { _id: "$tags", videoCount: { $sum: 1 }, totalViews: { $sum: "$views" } } },
+            { $sort: { videoCount: -1, totalViews: -1, _id: 1 } },
+            { $limit: limit },
+        ]);
+        return tags.map((tag) => ({
+            type: "tag",
+            text: tag._id,
+            videoCount: tag.videoCount,
+        }));
+    },
+};
+
+// Typeahead suggestions for `prefix`: the user's own matching recent searches first, then
+// video titles, channels and tags taken in turn from each popularity-ranked list.
+// Suggestions with the same text are only listed once.
+const getSearchSuggestions = async ({ prefix, user = null, limit = 10 }) => {
+    const normalizedPrefix = String(prefix ?? "").trim().replace(/\s+/g, " ");
+    if (!normalizedPrefix) {
+        throw new ApiError(400, "Search prefix is required");
+    }
+    if (normalizedPrefix.length > MAX_PREFIX_LENGTH) {
+        throw new ApiError(400, `Search prefix can be at most ${MAX_PREFIX_LENGTH} characters`);
+    }
+
+    const [recentSearches, ...globalLists] = await Promise.all([
+        user?._id
+            ? listSearchHistory(user._id, { prefix: normalizedPrefix, limit: Math.min(limit, MAX_RECENT_SUGGESTIONS) })
+            : [],
+        ...Object.values(suggestionSources).map((source) => source({ prefix: normalizedPrefix, user, limit })),
+    ]);
+
+    const suggestions = [];
+    const seen = new Set();
+    const add = (suggestion) => {
+        const key = suggestion.text.toLowerCase();
+        if (suggestions.length >= limit || seen.has(key)) return;
+        seen.add(key);
+        suggestions.push(suggestion);
+    };
+
+    for (const entry of recentSearches) {
+        add({ type: "recent", text: entry.query, historyId: entry._id, searchedAt: entry.searchedAt });
+    }
+
+    const longestList = Math.max(0, ...globalLists.map((list) => list.length));
+    for (let rank = 0; rank < longestList; rank++) {
+        for (const list of globalLists) {
+            if (list[rank]) add(list[rank]);
+        }
+    }
+
+    return { prefix: normalizedPrefix, suggestions };
+};
+
+export { SEARCH_TYPES, normalizeSearchQuery, parseSearchTypes, buildSnippet, search, getSearchSuggestions }
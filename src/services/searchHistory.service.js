@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+import { SearchHistory } from "../models/searchHistory.models.js";
+import { escapeRegex } from "../utils/regex.js";
+
+// How many distinct queries are kept per user; older ones are dropped as new ones come in
+const getSearchHistoryLimit = () => Number(process.env.SEARCH_HISTORY_LIMIT) || 50;
+
+const normalizeHistoryQuery = (query) => String(query ?? "").trim().replace(/\s+/g, " ").toLowerCase();
+
+// Adds the query to the user's history, or moves it to the front if it is already there
+const recordSearch = async (userId, query) => {
+    const normalizedQuery = normalizeHistoryQuery(query);
+    if (!userId || !normalizedQuery) return;
+
+    await SearchHistory.updateOne(
+        { user: userId, normalizedQuery },
+        { $set: { query: String(query).trim().replace(/\s+/g, " "), searchedAt: new Date() } },
+        { upsert: true }
+    );
+
+    // Trim anything past the limit
+    const overflow = await SearchHistory.find({ user: userId })
+        .sort({ searchedAt: -1, _id: -1 })
+        .skip(getSearchHistoryLimit())
+        .select("_id")
+        .lean();
+    if (overflow.length) {
+        await SearchHistory.deleteMany({ _id: { $in: overflow.map((entry) => entry._id) } });
+    }
+};
+
+// The user's most recent searches, newest first, optionally only those starting with `prefix`
+const listSearchHistory = async (userId, { prefix = "", limit = 20 } = {}) => {
+    const normalizedPrefix = normalizeHistoryQuery(prefix);
+
+    return SearchHistory.find({
+        user: new mongoose.Types.ObjectId(userId),
+        ...(normalizedPrefix && { normalizedQuery: { $regex: `^${escapeRegex(normalizedPrefix)}` } }),
+    })
+        .sort({ searchedAt: -1, _id: -1 })
+        .limit(limit)
+        .select("query searchedAt")
+        .lean();
+};
+
+export { recordSearch, listSearchHistory };
@@ -0,0 +1,51 @@
+import { User } from "../models/user.models.js";
+import { Video } from "../models/video.models.js";
+
+// Delivery URLs as Cloudinary returned them before asset references were stored:
+// http(s)://res.cloudinary.com/<cloud>/<resource type>/upload/[v<version>/]<public id>.<ext>
+const CLOUDINARY_URL_PATTERN = /^https?:\/\/res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+?)(?:\.[a-z0-9]+)?$/i;
+
+const parseCloudinaryUrl = (url) => {
+    const match = CLOUDINARY_URL_PATTERN.exec(String(url ?? ""));
+    if (!match) return null;
+    return { provider: "cloudinary", assetId: decodeURIComponent(match[2]), resourceType: match[1].toLowerCase() };
+};
+
+const LEGACY_ASSET_FIELDS = [
+    { Model: User, urlField: "avatar", assetField: "avatarAsset" },
+    { Model: User, urlField: "coverImage", assetField: "coverImageAsset" },
+    { Model: Video, urlField: "videoFile", assetField: "videoFileAsset" },
+    { Model: Video, urlField: "thumbnail", assetField: "thumbnailAsset" },
+];
+
+// Fills in the asset reference of media uploaded before references were stored, by parsing the
+// URL one last time. Other URLs (e.g. avatars from a sign-in provider) are left without one,
+// so nothing we don't host is ever deleted.
+const migrateLegacyAssetReferences = async () => {
+    let migratedCount = 0;
+
+    for (const { Model, urlField, assetField } of LEGACY_ASSET_FIELDS) {
+        const documents = Model.collection.find(
+            { [assetField]: null, [urlField]: /^https?:\/\/res\.cloudinary\.com\//i },
+            { projection: { [urlField]: 1 } }
+        );
+
+        for await (const document of documents) {
+            const asset = parseCloudinaryUrl(document[urlField]);
+            if (!asset) continue;
+
+            await Model.collection.updateOne(
+                { _id: document._id, [assetField]: null },
+                { $set: { [assetField]: asset } }
+            );
+            migratedCount++;
+        }
+    }
+
+    if (migratedCount) {
+        console.log(`Media storage: stored asset references for ${migratedCount} legacy file(s)`);
+    }
+    return migratedCount;
+};
+
+export { migrateLegacyAssetReferences }
@@ -0,0 +1,32 @@
+import { User } from "../models/user.models.js";
+import { encryptSecret, isEncryptedSecret } from "../utils/encryption.js";
+
+const SECRET_FIELDS = ["twoFactorSecret", "twoFactorPendingSecret"];
+
+// TOTP secrets used to be stored in plaintext; encrypts whatever is left of them.
+// Safe to run on every start: encrypted values are recognized and skipped.
+const migrateLegacyTwoFactorSecrets = async () => {
+    let migratedCount = 0;
+
+    for (const field of SECRET_FIELDS) {
+        const users = await User.collection
+            .find({ [field]: { $type: "string", $not: /^enc:v1:/ } }, { projection: { [field]: 1 } })
+            .toArray();
+
+        for (const user of users) {
+            if (isEncryptedSecret(user[field])) continue;
+            const { modifiedCount } = await User.collection.updateOne(
+                { _id: user._id, [field]: user[field] }, // untouched since it was read
+                { $set: { [field]: encryptSecret(user[field]) } }
+            );
+            migratedCount += modifiedCount;
+        }
+    }
+
+    if (migratedCount) {
+        console.log(`Two-factor secrets: encrypted ${migratedCount} plaintext secret(s)`);
+    }
+    return migratedCount;
+};
+
+export { migrateLegacyTwoFactorSecrets }
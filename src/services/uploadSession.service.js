@@ -0,0 +1,320 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import mongoose from "mongoose";
+import { UploadSession } from "../models/uploadSession.models.js";
+import { ApiError } from "../utils/ApiError.js";
+import { FILE_HEADER_BYTES } from "../utils/fileType.js";
+import { assertAllowedFileSize, assertAllowedFileType, getUploadPolicy } from "../policies/upload.policy.js";
+
+// Chunk sizes a client may pick. The largest one bounds how much of a request body is buffered.
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+const MIN_CHUNK_SIZE = 256 * 1024;
+const MAX_CHUNK_SIZE = 32 * 1024 * 1024;
+
+// Outside of public/ on purpose: partial uploads must never be served
+const getUploadDir = () => process.env.UPLOAD_SESSION_DIR || "./uploads";
+const getSessionTtlMs = () => (Number(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const getMaxActiveSessions = () => Number(process.env.MAX_ACTIVE_UPLOAD_SESSIONS) || 5;
+
+const getSessionDir = (session) => path.join(getUploadDir(), session.storageKey);
+const getChunkPath = (session, index) => path.join(getSessionDir(session), `${index}.part`);
+
+const isSha256Hex = (value) => /^[a-f0-9]{64}$/i.test(String(value ?? ""));
+
+// Byte length the chunk at `index` must have
+const getExpectedChunkSize = (session, index) => {
+    return index === session.totalChunks - 1
+        ? session.fileSize - session.chunkSize * (session.totalChunks - 1)
+        : session.chunkSize;
+};
+
+const createUploadSession = async (ownerId, { fileName, fileSize, mimeType, chunkSize, checksum }) => {
+    // 1. Validate the announced file
+    const name = String(fileName ?? "").trim();
+    if (!name) {
+        throw new ApiError(400, "fileName is required");
+    }
+
+    // Same limits as a direct videoFile upload; the type is checked again against chunk 0's magic bytes
+    const { mimeTypes } = getUploadPolicy("videoFile");
+    const type = String(mimeType ?? "").trim().toLowerCase();
+    if (!mimeTypes.includes(type)) {
+        throw new ApiError(415, `Video file must be one of: ${mimeTypes.join(", ")}`, [{
+            code: "UNSUPPORTED_FILE_TYPE",
+            field: "videoFile",
+            allowedTypes: mimeTypes,
+        }]);
+    }
+
+    const size = Number(fileSize);
+    if (!Number.isInteger(size) || size < 1) {
+        throw new ApiError(400, "fileSize must be a positive number of bytes");
+    }
+    assertAllowedFileSize("videoFile", size);
+
+    const chunkBytes = chunkSize === undefined ? DEFAULT_CHUNK_SIZE : Number(chunkSize);
+    if (!Number.isInteger(chunkBytes) || chunkBytes < MIN_CHUNK_SIZE || chunkBytes > MAX_CHUNK_SIZE) {
+        throw new ApiError(400, `chunkSize must be between ${MIN_CHUNK_SIZE} and ${MAX_CHUNK_SIZE} bytes`);
+    }
+
+    if (checksum !== undefined && !isSha256Hex(checksum)) {
+        throw new ApiError(400, "checksum must be a hex encoded SHA-256 digest");
+    }
+
+    // 2. Keep the number of half-finished uploads (and the disk they hold) bounded
+    const activeSessions = await UploadSession.countDocuments({ owner: ownerId, status: { $ne: "completed" } });
+    if (activeSessions >= getMaxActiveSessions()) {
+        throw new ApiError(429, "Too many unfinished uploads. Finish or cancel one first", [{ code: "TOO_MANY_UPLOADS" }]);
+    }
+
+    // 3. Create the session and its own temp directory
+    const session = await UploadSession.create({
+        owner: ownerId,
+        fileName: name,
+        mimeType: type,
+        fileSize: size,
+        chunkSize: chunkBytes,
+        totalChunks: Math.ceil(size / chunkBytes),
+        checksum: checksum?.toLowerCase(),
+        storageKey: crypto.randomUUID(),
+        expiresAt: new Date(Date.now() + getSessionTtlMs()),
+    });
+    await fs.promises.mkdir(getSessionDir(session), { recursive: true });
+
+    return session;
+};
+
+// The caller's session, with its storage key. Other users' sessions look like missing ones.
+const getOwnUploadSession = async (uploadId, ownerId) => {
+    if (!mongoose.isValidObjectId(uploadId)) {
+        throw new ApiError(400, "Invalid upload ID");
+    }
+
+    const session = await UploadSession.findOne({ _id: uploadId, owner: ownerId }).select("+storageKey");
+    if (!session) {
+        throw new ApiError(404, "Upload session not found");
+    }
+    return session;
+};
+
+// The detected { mimeType, extension } of a file starting with `chunk`, if it is an allowed
+// video type and the one the session was created for
+const assertDeclaredFileType = (session, chunk) => {
+    const detected = assertAllowedFileType("videoFile", chunk.subarray(0, FILE_HEADER_BYTES));
+    if (detected.mimeType !== session.mimeType) {
+        throw new ApiError(415, `File content is ${detected.mimeType}, but the upload was created for ${session.mimeType}`, [{
+            code: "MIME_TYPE_MISMATCH",
+            field: "videoFile",
+            detectedType: detected.mimeType,
+            declaredType: session.mimeType,
+        }]);
+    }
+    return detected;
+};
+
+// Stores one chunk after checking its index, length and SHA-256. Sending a chunk again replaces it.
+const storeChunk = async (session, index, data, checksum) => {
+    if (session.status !== "active") {
+        throw new ApiError(409, "Upload session is no longer accepting chunks", [{ code: "UPLOAD_NOT_ACTIVE" }]);
+    }
+
+    const chunkIndex = Number(index);
+    if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= session.totalChunks) {
+        throw new ApiError(400, `Chunk index must be between 0 and ${session.totalChunks - 1}`);
+    }
+
+    const body = Buffer.isBuffer(data) ? data : Buffer.alloc(0);
+    const expectedSize = getExpectedChunkSize(session, chunkIndex);
+    if (body.length !== expectedSize) {
+        throw new ApiError(400, `Chunk ${chunkIndex} must be ${expectedSize} bytes, got ${body.length}`, [{ code: "CHUNK_SIZE_MISMATCH" }]);
+    }
+
+    if (!isSha256Hex(checksum)) {
+        throw new ApiError(400, "X-Chunk-Checksum header with the chunk's hex SHA-256 is required");
+    }
+    const digest = crypto.createHash("sha256").update(body).digest("hex");
+    if (digest !== checksum.toLowerCase()) {
+        throw new ApiError(422, `Checksum mismatch for chunk ${chunkIndex}`, [{ code: "CHECKSUM_MISMATCH" }]);
+    }
+
+    // The first chunk starts with the file's magic bytes, which must match the declared type
+    const detected = chunkIndex === 0 ? assertDeclaredFileType(session, body) : null;
+
+    // Written under a temporary name and renamed, so a half-written chunk never counts as received
+    const chunkPath = getChunkPath(session, chunkIndex);
+    const partialPath = `${chunkPath}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+    try {
+        await fs.promises.writeFile(partialPath, body);
+        await fs.promises.rename(partialPath, chunkPath);
+    } catch (error) {
+        await fs.promises.rm(partialPath, { force: true });
+        if (error?.code === "ENOENT") {
+            throw new ApiError(404, "Upload session not found"); // cleaned up meanwhile
+        }
+        throw error;
+    }
+
+    const { matchedCount } = await UploadSession.updateOne(
+        { _id: session._id, status: "active" },
+        {
+            $addToSet: { receivedChunks: chunkIndex },
+            $set: {
+                expiresAt: new Date(Date.now() + getSessionTtlMs()),
+                ...(detected && { extension: detected.extension }),
+            },
+        }
+    );
+    if (!matchedCount) {
+        throw new ApiError(409, "Upload session is no longer accepting chunks", [{ code: "UPLOAD_NOT_ACTIVE" }]);
+    }
+};
+
+// What the client needs to resume: received byte ranges (inclusive, merged) and missing chunk indexes
+const describeUploadSession = (session) => {
+    const received = [...new Set(session.receivedChunks)].sort((a, b) => a - b);
+    const receivedSet = new Set(received);
+
+    const receivedRanges = [];
+    for (const index of received) {
+        const start = index * session.chunkSize;
+        const end = start + getExpectedChunkSize(session, index) - 1;
+        const last = receivedRanges[receivedRanges.length - 1];
+        if (last && last.end + 1 === start) {
+            last.end = end;
+        } else {
+            receivedRanges.push({ start, end });
+        }
+    }
+
+    const missingChunks = [];
+    for (let index = 0; index < session.totalChunks; index++) {
+        if (!receivedSet.has(index)) missingChunks.push(index);
+    }
+
+    return {
+        uploadId: session._id,
+        status: session.status,
+        fileName: session.fileName,
+        mimeType: session.mimeType,
+        fileSize: session.fileSize,
+        chunkSize: session.chunkSize,
+        totalChunks: session.totalChunks,
+        receivedBytes: receivedRanges.reduce((sum, range) => sum + range.end - range.start + 1, 0),
+        receivedRanges,
+        missingChunks,
+        video: session.video ?? null,
+        expiresAt: session.expiresAt,
+    };
+};
+
+// Moves a complete session to "finalizing" so only one finalize request proceeds
+const claimUploadForFinalize = async (session) => {
+    if (session.status === "completed") {
+        throw new ApiError(409, "Upload has already been finalized", [{ code: "UPLOAD_COMPLETED" }]);
+    }
+
+    const { missingChunks } = describeUploadSession(session);
+    if (missingChunks.length) {
+        throw new ApiError(409, "Upload is missing chunks", [{ code: "UPLOAD_INCOMPLETE", missingChunks }]);
+    }
+
+    const claimed = await UploadSession.findOneAndUpdate(
+        { _id: session._id, status: "active" },
+        { $set: { status: "finalizing", expiresAt: new Date(Date.now() + getSessionTtlMs()) } },
+        { new: true }
+    ).select("+storageKey");
+    if (!claimed) {
+        throw new ApiError(409, "Upload is already being finalized", [{ code: "UPLOAD_NOT_ACTIVE" }]);
+    }
+    return claimed;
+};
+
+// Joins the chunks into one file next to them and returns its path. The file is named after
+// the type detected from its content, never after the client's file name.
+const assembleUpload = async (session) => {
+    // Recorded when chunk 0 was stored (every re-send of it records it again)
+    const extension = session.extension
+        ?? assertDeclaredFileType(session, await fs.promises.readFile(getChunkPath(session, 0))).extension;
+    const filePath = path.join(getSessionDir(session), `video.${extension}`);
+    const hash = crypto.createHash("sha256");
+
+    const file = await fs.promises.open(filePath, "w");
+    try {
+        for (let index = 0; index < session.totalChunks; index++) {
+            const chunk = await fs.promises.readFile(getChunkPath(session, index));
+            hash.update(chunk);
+            await file.write(chunk);
+        }
+    } finally {
+        await file.close();
+    }
+
+    if (session.checksum && hash.digest("hex") !== session.checksum) {
+        await fs.promises.rm(filePath, { force: true });
+        throw new ApiError(422, "Checksum mismatch for the assembled file", [{ code: "CHECKSUM_MISMATCH" }]);
+    }
+    return filePath;
+};
+
+const removeSessionFiles = async (session) => {
+    await fs.promises.rm(getSessionDir(session), { recursive: true, force: true });
+};
+
+// Records the published video and frees the chunks; the session itself expires later
+const completeUploadSession = async (session, videoId) => {
+    await UploadSession.updateOne(
+        { _id: session._id },
+        { $set: { status: "completed", video: videoId, expiresAt: new Date(Date.now() + getSessionTtlMs()) } }
+    );
+    await removeSessionFiles(session);
+};
+
+// Hands a failed finalize back to the client, who can retry it (or re-send chunks)
+const releaseUploadSession = async (session) => {
+    await UploadSession.updateOne({ _id: session._id, status: "finalizing" }, { $set: { status: "active" } });
+};
+
+const deleteUploadSession = async (session) => {
+    await UploadSession.deleteOne({ _id: session._id });
+    await removeSessionFiles(session);
+};
+
+// Removes sessions past their expiry, claiming each by deleting it first so that
+// several API instances can run the cleanup side by side. Returns how many were removed.
+const cleanupExpiredUploadSessions = async () => {
+    let removedCount = 0;
+
+    while (true) {
+        const session = await UploadSession.findOneAndDelete({ expiresAt: { $lte: new Date() } })
+            .select("+storageKey");
+        if (!session) break;
+
+        await removeSessionFiles(session);
+        removedCount++;
+    }
+
+    return removedCount;
+};
+
+const deleteUserUploadSessions = async (userId) => {
+    const sessions = await UploadSession.find({ owner: userId }).select("+storageKey");
+    for (const session of sessions) {
+        await deleteUploadSession(session);
+    }
+};
+
+export {
+    MAX_CHUNK_SIZE,
+    createUploadSession,
+    getOwnUploadSession,
+    storeChunk,
+    describeUploadSession,
+    claimUploadForFinalize,
+    assembleUpload,
+    completeUploadSession,
+    releaseUploadSession,
+    deleteUploadSession,
+    cleanupExpiredUploadSessions,
+    deleteUserUploadSessions,
+}
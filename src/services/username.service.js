@@ -0,0 +1,157 @@
+import crypto from "crypto";
+import { User } from "../models/user.models.js";
+import { UsernameHistory } from "../models/usernameHistory.models.js";
+import { ApiError } from "../utils/ApiError.js";
+import { normalizeUsername, validateUsername } from "../utils/username.js";
+
+const getSettings = () => ({
+    cooldownDays: Number(process.env.USERNAME_CHANGE_COOLDOWN_DAYS) || 30,
+    quarantineDays: Number(process.env.USERNAME_QUARANTINE_DAYS) || 90,
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A handle is free when no account uses it and it isn't quarantined for someone else.
+// `userId` may reclaim a handle they retired themselves.
+const isUsernameAvailable = async (username, userId = null) => {
+    const normalized = normalizeUsername(username);
+
+    const owner = await User.findOne({ username: normalized }).select("_id").lean();
+    if (owner) {
+        return Boolean(userId) && owner._id.toString() === userId.toString();
+    }
+
+    const quarantined = await UsernameHistory.exists({
+        username: normalized,
+        releaseAt: { $gt: new Date() },
+        ...(userId && { user: { $ne: userId } }),
+    });
+    return !quarantined;
+};
+
+// Picks a free, valid handle for an account created without one (e.g. a first OIDC login),
+// based on `hint`. Every candidate goes through the same validation and quarantine checks
+// as a handle the user chose.
+const generateAvailableUsername = async (hint) => {
+    const base = normalizeUsername(hint)
+        .replace(/[^a-z0-9_.]/g, "")
+        .replace(/\.{2,}/g, ".")
+        .slice(0, 20)
+        .replace(/^[_.]+|[_.]+$/g, "") || "user";
+
+    const candidates = [base];
+    for (let attempt = 0; attempt < 5; attempt++) {
+        candidates.push(`${base}${crypto.randomInt(1000, 10000)}`);
+    }
+    // Longer suffixes in case the short ones are all taken
+    for (let attempt = 0; attempt < 3; attempt++) {
+        candidates.push(`${base}${crypto.randomBytes(4).toString("hex")}`);
+    }
+
+    for (const candidate of candidates) {
+        if (!validateUsername(candidate) && await isUsernameAvailable(candidate)) {
+            return candidate;
+        }
+    }
+    throw new ApiError(503, "Could not pick a username for the new account. Please try again");
+};
+
+const changeUsername = async (userId, newUsername) => {
+    const { cooldownDays, quarantineDays } = getSettings();
+    const username = normalizeUsername(newUsername);
+
+    // 1. Validate the new handle
+    const validationError = validateUsername(username);
+    if (validationError) {
+        throw new ApiError(400, validationError, [{ code: "INVALID_USERNAME" }]);
+    }
+
+    const user = await User.findById(userId).select("username usernameChangedAt");
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+    if (user.username === username) {
+        throw new ApiError(400, "This is already your username");
+    }
+
+    // 2. Enforce the cooldown between changes
+    if (user.usernameChangedAt) {
+        const retryAt = user.usernameChangedAt.getTime() + cooldownDays * DAY_MS;
+        if (retryAt > Date.now()) {
+            const retryAfter = Math.ceil((retryAt - Date.now()) / 1000);
+            const error = new ApiError(
+                429,
+                `You can change your username once every ${cooldownDays} days`,
+                [{ code: "USERNAME_CHANGE_COOLDOWN", retryAfter, retryAt: new Date(retryAt) }]
+            );
+            error.headers = { "Retry-After": String(retryAfter) };
+            throw error;
+        }
+    }
+
+    // 3. Make sure nobody else holds or has recently retired the handle
+    if (!(await isUsernameAvailable(username, userId))) {
+        throw new ApiError(409, "Username is not available", [{ code: "USERNAME_TAKEN" }]);
+    }
+
+    // 4. Swap the handle; the unique index settles races with registrations and other changes
+    const previousUsername = user.username;
+    const now = new Date();
+    let updatedUser;
+    try {
+        updatedUser = await User.findOneAndUpdate(
+            { _id: userId, username: previousUsername },
+            { $set: { username, usernameChangedAt: now } },
+            { new: true }
+        ).select("-password");
+    } catch (error) {
+        if (error?.code === 11000) {
+            throw new ApiError(409, "Username is not available", [{ code: "USERNAME_TAKEN" }]);
+        }
+        throw error;
+    }
+
+    if (!updatedUser) {
+        throw new ApiError(409, "Username was changed by another request. Please try again");
+    }
+
+    // 5. Keep the old handle pointing at this channel and quarantine it
+    await UsernameHistory.deleteMany({ user: userId, username });
+    await UsernameHistory.create({
+        user: userId,
+        username: previousUsername,
+        retiredAt: now,
+        releaseAt: new Date(now.getTime() + quarantineDays * DAY_MS),
+    });
+
+    return { user: updatedUser, previousUsername };
+};
+
+// Finds the user behind a handle, following retired handles to the account's current one.
+// Returns { userId, username, redirectedFrom } or null.
+const resolveUsername = async (handle) => {
+    const username = normalizeUsername(handle);
+    if (!username) return null;
+
+    const user = await User.findOne({ username }).select("_id username").lean();
+    if (user) {
+        return { userId: user._id, username: user.username, redirectedFrom: null };
+    }
+
+    const entry = await UsernameHistory.findOne({ username }).sort({ retiredAt: -1 }).lean();
+    if (!entry) return null;
+
+    const currentUser = await User.findById(entry.user).select("_id username").lean();
+    if (!currentUser) return null;
+
+    return { userId: currentUser._id, username: currentUser.username, redirectedFrom: username };
+};
+
+const getUsernameHistory = async (userId) => {
+    return await UsernameHistory.find({ user: userId })
+        .select("username retiredAt releaseAt")
+        .sort({ retiredAt: -1 })
+        .lean();
+};
+
+export { isUsernameAvailable, generateAvailableUsername, changeUsername, resolveUsername, getUsernameHistory }
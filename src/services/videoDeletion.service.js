@@ -0,0 +1,35 @@
+import { Video } from "../models/video.models.js";
+import { Comment } from "../models/comment.models.js";
+import { Like } from "../models/like.models.js";
+import { Playlist } from "../models/playlist.models.js";
+import { VideoView } from "../models/videoView.models.js";
+import { WatchHistory } from "../models/watchHistory.models.js";
+import { WatchProgress } from "../models/watchProgress.models.js";
+import { runInTransaction } from "../utils/transaction.js";
+import { deleteAssetOrQueue } from "./assetDeletion.service.js";
+
+// Deletes a video and everything that hangs off it.
+// 1. Remote files: the video file and thumbnail (failures are queued for retry)
+// 2. In one transaction where supported: the video, its comments, likes on the video and
+//    its comments, playlist entries, watch history, watch progress and view markers
+const deleteVideoCascade = async (video) => {
+    await deleteAssetOrQueue(video.videoFileAsset);
+    await deleteAssetOrQueue(video.thumbnailAsset);
+
+    await runInTransaction(async (session) => {
+        const commentIds = await Comment.find({ video: video._id }).session(session).distinct("_id");
+
+        await Like.deleteMany(
+            { $or: [{ video: video._id }, { comment: { $in: commentIds } }] },
+            { session }
+        );
+        await Comment.deleteMany({ video: video._id }, { session });
+        await Playlist.updateMany({ videos: video._id }, { $pull: { videos: video._id } }, { session });
+        await WatchHistory.deleteMany({ video: video._id }, { session });
+        await WatchProgress.deleteMany({ video: video._id }, { session });
+        await VideoView.deleteMany({ video: video._id }, { session });
+        await Video.deleteOne({ _id: video._id }, { session });
+    });
+};
+
+export { deleteVideoCascade }
@@ -0,0 +1,41 @@
+import { Video } from "../models/video.models.js";
+import { getSignedFileUrl, getStorageProvider } from "../storage/index.js";
+
+// Visibilities whose files anyone with the URL may fetch
+const PUBLIC_MEDIA_VISIBILITIES = ["public", "unlisted"];
+
+const getSignedUrlSeconds = () => Number(process.env.MEDIA_SIGNED_URL_EXPIRY_SECONDS) || 4 * 60 * 60;
+
+const requiresSignedUrl = (asset) => Boolean(asset?.assetId && getStorageProvider(asset.provider).servesPrivateFiles);
+
+// Response form of a video (plain object): files of a non-public video get signed URLs where
+// the provider only serves them that way, and the asset references are left out.
+// Call it only after checking that the user may see the video.
+const withSignedMediaUrls = async (video) => {
+    if (!video) return video;
+    const { videoFileAsset, thumbnailAsset, ...result } = video;
+    if (PUBLIC_MEDIA_VISIBILITIES.includes(video.visibility)) return result;
+
+    const options = { expiresInSeconds: getSignedUrlSeconds() };
+    if (result.videoFile && requiresSignedUrl(videoFileAsset)) {
+        result.videoFile = await getSignedFileUrl(videoFileAsset, options);
+    }
+    if (result.thumbnail && requiresSignedUrl(thumbnailAsset)) {
+        result.thumbnail = await getSignedFileUrl(thumbnailAsset, options);
+    }
+    return result;
+};
+
+// Whether a stored file is the video file or thumbnail of a video that is not public
+const isPrivateVideoAsset = async ({ provider, assetId }) => {
+    const video = await Video.exists({
+        visibility: { $nin: PUBLIC_MEDIA_VISIBILITIES },
+        $or: [
+            { "videoFileAsset.provider": provider, "videoFileAsset.assetId": assetId },
+            { "thumbnailAsset.provider": provider, "thumbnailAsset.assetId": assetId },
+        ],
+    });
+    return Boolean(video);
+};
+
+export { withSignedMediaUrls, isPrivateVideoAsset }
@@ -0,0 +1,75 @@
+import { Video, VIDEO_VISIBILITIES } from "../models/video.models.js";
+import { ApiError } from "../utils/ApiError.js";
+
+// Reads a `visibility` value from a request body
+const parseVisibility = (value) => {
+    const visibility = String(value ?? "").trim().toLowerCase();
+    if (!VIDEO_VISIBILITIES.includes(visibility)) {
+        throw new ApiError(400, `visibility must be one of: ${VIDEO_VISIBILITIES.join(", ")}`);
+    }
+    return visibility;
+};
+
+// Reads a `publishAt` value from a request body: an ISO date in the future, or
+// null/"" to clear the schedule. Returns a Date or null.
+const parsePublishAt = (value) => {
+    if (value === null || value === "" || value === "null") return null;
+
+    const publishAt = new Date(value);
+    if (Number.isNaN(publishAt.getTime())) {
+        throw new ApiError(400, "publishAt must be a valid date");
+    }
+    if (publishAt <= new Date()) {
+        throw new ApiError(400, "publishAt must be in the future");
+    }
+    return publishAt;
+};
+
+// Fields for a scheduled video: private until `publishAt`, then `targetVisibility`
+const getScheduleFields = (publishAt, targetVisibility = "public") => {
+    if (targetVisibility === "private") {
+        throw new ApiError(400, "A scheduled video must go live as public, unlisted or subscribers");
+    }
+    return { visibility: "private", publishAt, scheduledVisibility: targetVisibility };
+};
+
+// Publishes every scheduled video that is due. All state lives in the database, so videos
+// that fell due while the server was down go out on the next run, and the per-document
+// conditional update makes it safe for several instances to run this at the same time.
+const publishDueVideos = async () => {
+    const { modifiedCount } = await Video.updateMany(
+        { visibility: "private", publishAt: { $ne: null, $lte: new Date() } },
+        [
+            {
+                $set: {
+                    visibility: { $ifNull: ["$scheduledVisibility", "public"] },
+                    publishAt: null,
+                    scheduledVisibility: null,
+                }
+            }
+        ]
+    );
+    return modifiedCount;
+};
+
+// Replaces the old `isPublished` flag: published videos become public, unpublished ones
+// private. Safe to run on every start; it only touches videos without a visibility.
+const migrateLegacyVideoVisibility = async () => {
+    const { modifiedCount } = await Video.collection.updateMany(
+        { visibility: { $exists: false } },
+        [
+            {
+                $set: {
+                    visibility: { $cond: [{ $eq: ["$isPublished", false] }, "private", "public"] },
+                }
+            },
+            { $unset: "isPublished" }
+        ]
+    );
+    if (modifiedCount) {
+        console.log(`Video visibility: migrated ${modifiedCount} video(s) from isPublished`);
+    }
+    return modifiedCount;
+};
+
+export { parseVisibility, parsePublishAt, getScheduleFields, publishDueVideos, migrateLegacyVideoVisibility }
@@ -0,0 +1,128 @@
+import jwt from "jsonwebtoken";
+import { Video } from "../models/video.models.js";
+import { VideoView } from "../models/videoView.models.js";
+import { recordWatch } from "./watchHistory.service.js";
+import { hashToken } from "../utils/token.js";
+import { ApiError } from "../utils/ApiError.js";
+
+const getSettings = () => ({
+    minWatchSeconds: Number(process.env.VIEW_MIN_WATCH_SECONDS) || 30,
+    dedupeWindowHours: Number(process.env.VIEW_DEDUPE_WINDOW_HOURS) || 24,
+    rateLimitPerMinute: Number(process.env.VIEW_RATE_LIMIT_PER_MINUTE) || 60,
+    viewTokenHours: Number(process.env.VIEW_TOKEN_TTL_HOURS) || 12,
+});
+
+// Limit for the view endpoint per client IP (see rateLimit.middleware.js)
+const getViewRateLimit = () => ({ max: getSettings().rateLimitPerMinute, windowSeconds: 60 });
+
+// Seconds a viewer has to watch before the view counts. Videos shorter than twice the
+// configured minimum only need to be watched halfway.
+const getWatchThreshold = (duration) => {
+    const { minWatchSeconds } = getSettings();
+    if (!duration || duration <= 0) return minWatchSeconds;
+    return Math.min(minWatchSeconds, duration / 2);
+};
+
+// Logged-in viewers are identified by account, anonymous ones by IP and user agent. Both come
+// from the connection, not from a client-chosen value, so a client can't mint new viewers at will.
+const getViewerKey = ({ userId, ip, userAgent }) => {
+    if (userId) return `user:${userId}`;
+    if (!ip) return null;
+    return `anon:${hashToken(`${ip}|${userAgent || ""}`)}`;
+};
+
+// Called when playback starts. The signed token records when and for which viewer, so the
+// watch threshold is measured in real time on the server rather than taken from the client.
+const startVideoView = ({ video, userId = null, ip = null, userAgent = null }) => {
+    const viewerKey = getViewerKey({ userId, ip, userAgent });
+    if (!viewerKey) {
+        throw new ApiError(400, "The viewer could not be identified");
+    }
+
+    const viewToken = jwt.sign(
+        { videoId: String(video._id), viewerKey, startedAt: Date.now(), purpose: "video-view" },
+        process.env.VIEW_TOKEN_SECRET,
+        { expiresIn: `${getSettings().viewTokenHours}h` }
+    );
+    return { viewToken, threshold: getWatchThreshold(video.duration) };
+};
+
+// Seconds since the view token was issued, after checking it belongs to this video and viewer
+const getElapsedViewSeconds = (viewToken, { videoId, viewerKey }) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(String(viewToken ?? ""), process.env.VIEW_TOKEN_SECRET);
+    } catch (error) {
+        throw new ApiError(400, "View token is invalid or has expired");
+    }
+
+    if (decoded.purpose !== "video-view" || decoded.videoId !== String(videoId) || decoded.viewerKey !== viewerKey) {
+        throw new ApiError(400, "View token was issued for another video or viewer");
+    }
+    return Math.max(0, (Date.now() - decoded.startedAt) / 1000);
+};
+
+// Claims the dedupe marker for this viewer. Returns false if the viewer already has a live one.
+const claimView = async ({ videoId, viewerKey, userId, watchedSeconds }) => {
+    const { dedupeWindowHours } = getSettings();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + dedupeWindowHours * 60 * 60 * 1000);
+
+    try {
+        await VideoView.create({ video: videoId, viewerKey, viewer: userId || null, watchedSeconds, expiresAt });
+        return true;
+    } catch (error) {
+        if (error?.code !== 11000) throw error;
+    }
+
+    // The TTL monitor only runs periodically; reuse a marker whose window has already passed
+    const reclaimed = await VideoView.findOneAndUpdate(
+        { video: videoId, viewerKey, expiresAt: { $lte: now } },
+        { $set: { watchedSeconds, expiresAt } }
+    );
+    return Boolean(reclaimed);
+};
+
+// Records a watch of `video` (a document with _id, owner and duration) started with
+// startVideoView. The client may report less watch time than has passed (pauses), never more.
+// Returns { counted, reason, views, threshold }.
+const recordVideoView = async ({ video, viewToken, userId = null, ip = null, userAgent = null, reportedSeconds = null }) => {
+    const threshold = getWatchThreshold(video.duration);
+    const result = (counted, reason, views = video.views) => ({ counted, reason, views, threshold });
+
+    const viewerKey = getViewerKey({ userId, ip, userAgent });
+    if (!viewerKey) {
+        return result(false, "UNKNOWN_VIEWER");
+    }
+
+    const elapsedSeconds = getElapsedViewSeconds(viewToken, { videoId: video._id, viewerKey });
+    const watchedSeconds = reportedSeconds === null ? elapsedSeconds : Math.min(reportedSeconds, elapsedSeconds);
+
+    if (!(watchedSeconds >= threshold)) {
+        return result(false, "BELOW_WATCH_THRESHOLD");
+    }
+
+    // Any qualifying watch by a logged-in user refreshes their history, counted or not
+    if (userId) {
+        await recordWatch(userId, video._id);
+    }
+
+    if (userId && video.owner?.toString() === userId.toString()) {
+        return result(false, "OWNER_VIEW");
+    }
+
+    const claimed = await claimView({ videoId: video._id, viewerKey, userId, watchedSeconds });
+    if (!claimed) {
+        return result(false, "DUPLICATE_VIEW");
+    }
+
+    const updated = await Video.findByIdAndUpdate(
+        video._id,
+        { $inc: { views: 1 } },
+        { new: true, projection: { views: 1 } }
+    );
+
+    return result(true, null, updated?.views ?? video.views + 1);
+};
+
+export { getWatchThreshold, getViewRateLimit, startVideoView, recordVideoView }
@@ -0,0 +1,151 @@
+import mongoose from "mongoose";
+import { User } from "../models/user.models.js";
+import { WatchHistory } from "../models/watchHistory.models.js";
+import { getVisibleVideoFilter } from "../policies/videoVisibility.policy.js";
+import { escapeRegex } from "../utils/regex.js";
+import { withSignedMediaUrls } from "./videoMedia.service.js";
+
+// Adds the video to the user's history, or moves it to the front if it is already there.
+// Does nothing while the user has paused history recording.
+const recordWatch = async (userId, videoId) => {
+    const user = await User.findById(userId).select("isWatchHistoryPaused").lean();
+    if (!user || user.isWatchHistoryPaused) return false;
+
+    await WatchHistory.updateOne(
+        { user: userId, video: videoId },
+        { $set: { watchedAt: new Date() } },
+        { upsert: true }
+    );
+    return true;
+};
+
+// Opaque cursor for the entry a page ended on: "<watchedAt ms>_<entry id>"
+const encodeCursor = (entry) => {
+    return Buffer.from(`${entry.watchedAt.getTime()}_${entry._id}`).toString("base64url");
+};
+
+const decodeCursor = (cursor) => {
+    const [time, id] = Buffer.from(String(cursor), "base64url").toString().split("_");
+    const watchedAt = new Date(Number(time));
+    if (Number.isNaN(watchedAt.getTime()) || !mongoose.isValidObjectId(id)) return null;
+    return { watchedAt, _id: new mongoose.Types.ObjectId(id) };
+};
+
+// One page of the user's history, newest watched first. `cursor` comes from the previous
+// page's nextCursor; `search` filters by video title (case-insensitive substring).
+const listWatchHistory = async (userId, { cursor = null, limit = 20, search = "" } = {}) => {
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+    const match = { user: userObjectId };
+
+    if (cursor) {
+        const position = decodeCursor(cursor);
+        if (!position) return null;
+        match.$or = [
+            { watchedAt: { $lt: position.watchedAt } },
+            { watchedAt: position.watchedAt, _id: { $lt: position._id } },
+        ];
+    }
+
+    // Videos the user can still see (visibility may have changed since they watched)
+    const videoMatch = {
+        ...(await getVisibleVideoFilter({ _id: userObjectId }, { includeUnlisted: true, includeOwn: true })),
+        ...(search && { title: { $regex: escapeRegex(search), $options: "i" } }),
+    };
+
+    const entries = await WatchHistory.aggregate([
+        { $match: match },
+        { $sort: { watchedAt: -1, _id: -1 } },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "video",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    { $match: videoMatch },
+                    {
+                        $lookup: {
+                            from: "users",
+                            localField: "owner",
+                            foreignField: "_id",
+                            as: "ownerDetails",
+                            pipeline: [{ $project: { username: 1, avatar: 1 } }],
+                        },
+                    },
+                    { $addFields: { ownerDetails: { $first: "$ownerDetails" } } },
+                    {
+                        $project: {
+                            _id: 1,
+                            thumbnail: 1,
+                            title: 1,
+                            duration: 1,
+                            views: 1,
+                            visibility: 1,
+                            thumbnailAsset: 1, // for signed URLs, not returned
+                            createdAt: 1,
+                            ownerDetails: 1,
+                        },
+                    },
+                ],
+            },
+        },
+        { $addFields: { video: { $first: "$video" } } },
+        { $match: { video: { $ne: null } } }, // Deleted, hidden or non-matching videos
+        { $limit: limit + 1 },
+        { $project: { _id: 1, watchedAt: 1, video: 1 } },
+    ]);
+
+    const hasMore = entries.length > limit;
+    const page = hasMore ? entries.slice(0, limit) : entries;
+
+    for (const entry of page) {
+        entry.video = await withSignedMediaUrls(entry.video);
+    }
+
+    return {
+        entries: page,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+    };
+};
+
+// Moves watch history from the old `User.watchHistory` array (front = most recent) into
+// the WatchHistory collection. Safe to run on every start; migrated users are unset.
+const migrateLegacyWatchHistory = async () => {
+    const users = User.collection.find(
+        { "watchHistory.0": { $exists: true } },
+        { projection: { watchHistory: 1 } }
+    );
+    let migratedCount = 0;
+
+    for await (const user of users) {
+        const now = Date.now();
+        const seen = new Set();
+        const operations = [];
+
+        user.watchHistory.forEach((videoId, index) => {
+            if (!videoId || seen.has(videoId.toString())) return;
+            seen.add(videoId.toString());
+            operations.push({
+                updateOne: {
+                    filter: { user: user._id, video: videoId },
+                    // Keep the original order by spacing the timestamps a second apart
+                    update: { $setOnInsert: { watchedAt: new Date(now - index * 1000) } },
+                    upsert: true,
+                },
+            });
+        });
+
+        if (operations.length) {
+            await WatchHistory.bulkWrite(operations, { ordered: false });
+        }
+        await User.collection.updateOne({ _id: user._id }, { $unset: { watchHistory: "" } });
+        migratedCount++;
+    }
+
+    if (migratedCount) {
+        console.log(`Watch history: migrated ${migratedCount} user(s) to the WatchHistory collection`);
+    }
+    return migratedCount;
+};
+
+export { recordWatch, listWatchHistory, migrateLegacyWatchHistory }
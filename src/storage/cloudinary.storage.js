@@ -0,0 +1,88 @@
+import { v2 as cloudinary } from "cloudinary";
+import { ApiError } from "../utils/ApiError.js";
+
+
+// Configuration
+cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET, // Click 'View API Keys' above to copy your API secret
+});
+
+const upload = async (localFilePath, { resourceType = "auto" } = {}) => {
+    const response = await cloudinary.uploader.upload(localFilePath, {
+        resource_type: resourceType,
+    });
+
+    return {
+        url: response.url,
+        assetId: response.public_id,
+        resourceType: response.resource_type,
+        bytes: response.bytes,
+        format: response.format,
+        width: response.width,
+        height: response.height,
+        duration: response.duration,
+    };
+};
+
+// "video" for video files, "image" for avatars, covers and thumbnails
+const remove = async (assetId, resourceType = "image") => {
+    try {
+        // Check if the asset ID exists
+        if (!assetId) {
+            throw new ApiError(400, "Asset ID is required to delete file from cloudinary")
+        }
+
+        // Delete the file from cloudinary and get response
+        const deletionResponse = await cloudinary.uploader.destroy(assetId, {
+            resource_type: resourceType,
+        })
+
+        // Check if deletion was successful ("not found" means it is already gone)
+        if (!["ok", "not found"].includes(deletionResponse?.result)) {
+            throw new ApiError(400, "Failed to delete file from cloudinary")
+        }
+
+        return deletionResponse;
+
+    } catch (error) {
+        // Handle specific cloudinary errors
+        throw new ApiError(
+            error?.http_code || 500,
+            error?.message || "Something went wrong while deleting file from cloudinary"
+        )
+    }
+};
+
+// A download link that stops working after `expiresInSeconds`
+const getSignedUrl = async (assetId, { resourceType = "image", format = "", expiresInSeconds = 3600 } = {}) => {
+    return cloudinary.utils.private_download_url(assetId, format, {
+        resource_type: resourceType,
+        type: "upload",
+        expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds,
+    });
+};
+
+// Stored details of an asset, or null if it doesn't exist
+const getMetadata = async (assetId, { resourceType = "image" } = {}) => {
+    try {
+        const resource = await cloudinary.api.resource(assetId, { resource_type: resourceType });
+        return {
+            assetId: resource.public_id,
+            resourceType: resource.resource_type,
+            url: resource.url,
+            bytes: resource.bytes,
+            format: resource.format,
+            width: resource.width,
+            height: resource.height,
+            duration: resource.duration,
+            createdAt: new Date(resource.created_at),
+        };
+    } catch (error) {
+        if (error?.error?.http_code === 404 || error?.http_code === 404) return null;
+        throw error;
+    }
+};
+
+export const cloudinaryStorage = { name: "cloudinary", upload, delete: remove, getSignedUrl, getMetadata };
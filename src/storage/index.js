@@ -0,0 +1,60 @@
+import fs from "fs";
+import { cloudinaryStorage } from "./cloudinary.storage.js";
+import { localDiskStorage } from "./localDisk.storage.js";
+
+// Where uploaded media lives. Every provider implements:
+//   upload(localFilePath, { resourceType })   -> { url, assetId, resourceType, bytes, format, width, height, duration }
+//   delete(assetId, resourceType)             -> resolves once the file is gone (already gone is fine)
+//   getSignedUrl(assetId, { resourceType, expiresInSeconds }) -> time-limited URL to hand out
+// Providers with servesPrivateFiles only serve files of private videos through signed URLs
+// (see services/videoMedia.service.js); the others deliver every file publicly.
+//   getMetadata(assetId, { resourceType })    -> same shape as upload() plus createdAt, or null if missing
+// Documents keep { provider, assetId, resourceType } next to each URL (see storedAsset.models.js),
+// so files are always deleted through the provider that stored them.
+const providers = {
+    [cloudinaryStorage.name]: cloudinaryStorage,
+    [localDiskStorage.name]: localDiskStorage,
+};
+
+// The named provider, or the configured one (STORAGE_PROVIDER, "cloudinary" by default)
+const getStorageProvider = (name = process.env.STORAGE_PROVIDER || "cloudinary") => {
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`Unknown storage provider "${name}"`);
+    }
+    return provider;
+};
+
+// Uploads a local temp file with the configured provider and removes the temp file either way.
+// Resolves to the upload result plus `asset` (what to store on the document), or null on failure.
+const uploadFile = async (localFilePath, { resourceType = "auto" } = {}) => {
+    if (!localFilePath) return null;
+
+    const provider = getStorageProvider();
+    try {
+        const result = await provider.upload(localFilePath, { resourceType });
+        return {
+            ...result,
+            asset: { provider: provider.name, assetId: result.assetId, resourceType: result.resourceType },
+        };
+    } catch (error) {
+        console.error(`Upload to ${provider.name} storage failed:`, error);
+        return null;
+    } finally {
+        await fs.promises.rm(localFilePath, { force: true }); // remove the locally saved temporary file
+    }
+};
+
+const deleteFile = async ({ provider, assetId, resourceType }) => {
+    return getStorageProvider(provider).delete(assetId, resourceType);
+};
+
+const getSignedFileUrl = async ({ provider, assetId, resourceType }, options = {}) => {
+    return getStorageProvider(provider).getSignedUrl(assetId, { resourceType, ...options });
+};
+
+const getFileMetadata = async ({ provider, assetId, resourceType }) => {
+    return getStorageProvider(provider).getMetadata(assetId, { resourceType });
+};
+
+export { getStorageProvider, uploadFile, deleteFile, getSignedFileUrl, getFileMetadata }
@@ -0,0 +1,128 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { ApiError } from "../utils/ApiError.js";
+
+// Files live under LOCAL_STORAGE_DIR and are served by the media router (routes/media.routes.js).
+// Asset IDs are paths relative to that directory, e.g. "image/4f0c...e1.png".
+// Files are public by default. Files of private videos are only served through signed URLs
+// (see getSignedUrl), which carry an expiry and an HMAC of the asset ID and that expiry.
+
+const MEDIA_MOUNT_PATH = "/media";
+
+const VIDEO_EXTENSIONS = [".mp4", ".mov", ".m4v", ".webm", ".mkv", ".avi", ".mpeg", ".mpg"];
+// No SVG: it can carry scripts, and these files are served from the API's own origin
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".gif", ".webp", ".avif", ".bmp"];
+
+const getStorageDir = () => path.resolve(process.env.LOCAL_STORAGE_DIR || "./storage");
+// Origin the API is reachable at, e.g. "http://localhost:8000"; relative URLs without it
+const getPublicBaseUrl = () => (process.env.LOCAL_STORAGE_PUBLIC_URL || "").replace(/\/+$/, "");
+
+// Only these are served inline; anything else is sent as a download
+const isMediaExtension = (extension) => {
+    const normalized = String(extension).toLowerCase();
+    return VIDEO_EXTENSIONS.includes(normalized) || IMAGE_EXTENSIONS.includes(normalized);
+};
+
+const inferResourceType = (extension) => {
+    if (VIDEO_EXTENSIONS.includes(extension)) return "video";
+    if (IMAGE_EXTENSIONS.includes(extension)) return "image";
+    return "raw";
+};
+
+// Absolute path of an asset; asset IDs that point outside the storage directory are rejected
+const resolveAssetPath = (assetId) => {
+    const storageDir = getStorageDir();
+    const filePath = path.resolve(storageDir, String(assetId ?? ""));
+    if (!filePath.startsWith(storageDir + path.sep)) {
+        throw new ApiError(400, "Invalid asset ID");
+    }
+    return filePath;
+};
+
+const getUrl = (assetId) => `${getPublicBaseUrl()}${MEDIA_MOUNT_PATH}/${assetId}`;
+
+const getSigningSecret = () => {
+    const secret = process.env.LOCAL_STORAGE_SIGNING_SECRET;
+    if (!secret) {
+        throw new Error("LOCAL_STORAGE_SIGNING_SECRET must be set to sign local media URLs");
+    }
+    return secret;
+};
+
+const signAsset = (assetId, expires) => {
+    return crypto.createHmac("sha256", getSigningSecret()).update(`${assetId}:${expires}`).digest("base64url");
+};
+
+const upload = async (localFilePath, { resourceType = "auto" } = {}) => {
+    const extension = path.extname(localFilePath).toLowerCase().replace(/[^a-z0-9.]/g, "").slice(0, 10);
+    const type = resourceType === "auto" ? inferResourceType(extension) : resourceType;
+    const assetId = `${type}/${crypto.randomUUID()}${extension}`;
+    const filePath = resolveAssetPath(assetId);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.copyFile(localFilePath, filePath);
+    const { size } = await fs.promises.stat(filePath);
+
+    // Nothing here probes the media, so dimensions and duration are unknown
+    return {
+        url: getUrl(assetId),
+        assetId,
+        resourceType: type,
+        bytes: size,
+        format: extension.slice(1) || null,
+        width: null,
+        height: null,
+        duration: null,
+    };
+};
+
+// Deleting a file that is already gone counts as success
+const remove = async (assetId) => {
+    await fs.promises.rm(resolveAssetPath(assetId), { force: true });
+};
+
+// A URL for the file that stops working after `expiresInSeconds`
+const getSignedUrl = async (assetId, { expiresInSeconds = 3600 } = {}) => {
+    resolveAssetPath(assetId);
+    const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+    const params = new URLSearchParams({ expires: String(expires), signature: signAsset(assetId, expires) });
+    return `${getUrl(assetId)}?${params.toString()}`;
+};
+
+// Whether `expires` and `signature` (query parameters of a signed URL) are valid for the asset now
+const verifySignedUrl = (assetId, { expires, signature } = {}) => {
+    const expiresAt = Number(expires);
+    if (!Number.isInteger(expiresAt) || expiresAt * 1000 <= Date.now() || typeof signature !== "string") {
+        return false;
+    }
+    const expected = Buffer.from(signAsset(assetId, expiresAt));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const getMetadata = async (assetId) => {
+    try {
+        const stats = await fs.promises.stat(resolveAssetPath(assetId));
+        const extension = path.extname(assetId).toLowerCase();
+        return {
+            assetId,
+            resourceType: assetId.split("/")[0],
+            url: getUrl(assetId),
+            bytes: stats.size,
+            format: extension.slice(1) || null,
+            width: null,
+            height: null,
+            duration: null,
+            createdAt: stats.birthtime,
+        };
+    } catch (error) {
+        if (error?.code === "ENOENT") return null;
+        throw error;
+    }
+};
+
+// servesPrivateFiles: files of private videos are only reachable through getSignedUrl
+export const localDiskStorage = { name: "local", servesPrivateFiles: true, upload, delete: remove, getSignedUrl, getMetadata };
+
+export { MEDIA_MOUNT_PATH, getStorageDir, isMediaExtension, verifySignedUrl }
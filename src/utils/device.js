@@ -0,0 +1,30 @@
+// Tiny user-agent summary for the sessions list ("Chrome on Windows"); not meant to be exhaustive
+const browsers = [
+    ["Edge", /Edg\//],
+    ["Opera", /OPR\//],
+    ["Chrome", /Chrome\//],
+    ["Firefox", /Firefox\//],
+    ["Safari", /Safari\//],
+    ["curl", /^curl\//],
+    ["Postman", /PostmanRuntime/],
+];
+
+const operatingSystems = [
+    ["Android", /Android/],
+    ["iOS", /iPhone|iPad|iPod/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X|Macintosh/],
+    ["Linux", /Linux/],
+];
+
+const describeDevice = (userAgent = "") => {
+    if (!userAgent) return "Unknown device";
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+    const os = operatingSystems.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+    if (browser && os) return `${browser} on ${os}`;
+    return browser || os || "Unknown device";
+};
+
+export { describeDevice }
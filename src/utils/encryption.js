@@ -0,0 +1,37 @@
+import crypto from "crypto";
+
+// AES-256-GCM for secrets that have to be read back (unlike tokens, which are only hashed).
+// Stored as "enc:v1:<iv>:<auth tag>:<ciphertext>", all base64url. The key comes from
+// DATA_ENCRYPTION_KEY; any string works, it is stretched to 256 bits with SHA-256.
+const ENCRYPTED_PREFIX = "enc:v1:";
+
+const getKey = () => {
+    const secret = process.env.DATA_ENCRYPTION_KEY;
+    if (!secret) {
+        throw new Error("DATA_ENCRYPTION_KEY must be set to store encrypted secrets");
+    }
+    return crypto.createHash("sha256").update(secret).digest();
+};
+
+const isEncryptedSecret = (value) => typeof value === "string" && value.startsWith(ENCRYPTED_PREFIX);
+
+const encryptSecret = (plaintext) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), "utf8"), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    return `${ENCRYPTED_PREFIX}${[iv, tag, ciphertext].map((part) => part.toString("base64url")).join(":")}`;
+};
+
+// Throws if the value was not produced by encryptSecret with the current key
+const decryptSecret = (value) => {
+    if (!isEncryptedSecret(value)) {
+        throw new Error("Value is not an encrypted secret");
+    }
+    const [iv, tag, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(":").map((part) => Buffer.from(part, "base64url"));
+    const decipher = crypto.createDecipheriv("aes-256-gcm", getKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+};
+
+export { encryptSecret, decryptSecret, isEncryptedSecret }
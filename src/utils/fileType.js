@@ -0,0 +1,111 @@
+// Identifies uploads by their leading bytes ("magic numbers") instead of trusting the
+// client's file name or Content-Type, and reads image dimensions from the file headers.
+
+// Enough of the file to tell every supported type apart
+const FILE_HEADER_BYTES = 64;
+
+const hasBytes = (buffer, bytes, offset = 0) => {
+    return buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+};
+
+const ascii = (buffer, start, end) => (buffer.length >= end ? buffer.toString("latin1", start, end) : "");
+
+// ISO base media brands that are still images, not videos
+const HEIF_BRANDS = ["avif", "avis", "heic", "heix", "hevc", "hevx", "mif1", "msf1"];
+
+// { mimeType, extension } of the file starting with `header`, or null if it isn't a supported type
+const detectFileType = (header) => {
+    if (hasBytes(header, [0xff, 0xd8, 0xff])) {
+        return { mimeType: "image/jpeg", extension: "jpg" };
+    }
+    if (hasBytes(header, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+        return { mimeType: "image/png", extension: "png" };
+    }
+    if (["GIF87a", "GIF89a"].includes(ascii(header, 0, 6))) {
+        return { mimeType: "image/gif", extension: "gif" };
+    }
+    if (ascii(header, 0, 4) === "RIFF" && ascii(header, 8, 12) === "WEBP") {
+        return { mimeType: "image/webp", extension: "webp" };
+    }
+    if (ascii(header, 0, 4) === "RIFF" && ascii(header, 8, 12) === "AVI ") {
+        return { mimeType: "video/x-msvideo", extension: "avi" };
+    }
+    if (ascii(header, 4, 8) === "ftyp") {
+        const brand = ascii(header, 8, 12);
+        if (HEIF_BRANDS.includes(brand)) return null;
+        return brand === "qt  "
+            ? { mimeType: "video/quicktime", extension: "mov" }
+            : { mimeType: "video/mp4", extension: "mp4" };
+    }
+    if (hasBytes(header, [0x1a, 0x45, 0xdf, 0xa3])) {
+        // Matroska; WebM is the subset whose EBML DocType says so
+        return header.includes("webm", 0, "latin1")
+            ? { mimeType: "video/webm", extension: "webm" }
+            : { mimeType: "video/x-matroska", extension: "mkv" };
+    }
+    return null;
+};
+
+// JPEG start-of-frame markers (SOF0-SOF15 without DHT, JPG and DAC)
+const isJpegFrameMarker = (marker) => marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+
+const getJpegDimensions = (buffer) => {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+
+        if (marker === 0xff) { // fill byte
+            offset++;
+            continue;
+        }
+        if (marker === 0xd9 || marker === 0xda) return null; // end of image / start of scan before a frame
+
+        // Standalone markers carry no length
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+            offset += 2;
+            continue;
+        }
+
+        if (isJpegFrameMarker(marker)) {
+            return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+};
+
+const getWebpDimensions = (buffer) => {
+    const chunk = ascii(buffer, 12, 16);
+    if (chunk === "VP8 " && buffer.length >= 30) {
+        return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === "VP8L" && buffer.length >= 25) {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === "VP8X" && buffer.length >= 30) {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+};
+
+// { width, height } of an image of the given (detected) type, or null if the header is unreadable
+const getImageDimensions = (buffer, mimeType) => {
+    switch (mimeType) {
+        case "image/png":
+            return buffer.length >= 24 && ascii(buffer, 12, 16) === "IHDR"
+                ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+                : null;
+        case "image/gif":
+            return buffer.length >= 10 ? { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) } : null;
+        case "image/webp":
+            return getWebpDimensions(buffer);
+        case "image/jpeg":
+            return getJpegDimensions(buffer);
+        default:
+            return null;
+    }
+};
+
+export { FILE_HEADER_BYTES, detectFileType, getImageDimensions }
@@ -0,0 +1,79 @@
+import fs from "fs";
+import path from "path";
+
+// Development transport: prints the message to the server log
+const consoleTransport = {
+    send: async (message) => {
+        console.log("\n---------- outgoing mail ----------");
+        console.log(`To: ${message.to}`);
+        console.log(`Subject: ${message.subject}`);
+        console.log("");
+        console.log(message.text);
+        console.log("-----------------------------------\n");
+        return { accepted: [message.to] };
+    },
+};
+
+// Development transport: writes every message as a JSON file so it can be inspected later
+const fileTransport = {
+    send: async (message) => {
+        const outboxDir = process.env.MAIL_OUTBOX_DIR || "./logs/mail";
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+
+        const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+        const filePath = path.join(outboxDir, fileName);
+        await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+
+        return { accepted: [message.to], filePath };
+    },
+};
+
+const transports = {
+    console: consoleTransport,
+    file: fileTransport,
+};
+
+// Transports that never deliver anything; production refuses to use them
+const DEVELOPMENT_TRANSPORTS = ["console", "file"];
+
+// Plug in a real provider (SMTP, SES, ...) at startup: registerMailTransport("smtp", { send })
+const registerMailTransport = (name, transport) => {
+    if (!name || typeof transport?.send !== "function") {
+        throw new Error("A mail transport needs a name and a send(message) function");
+    }
+    transports[name] = transport;
+};
+
+// Resolves the configured transport. Development falls back to the console; production has
+// no fallback and fails closed, so reset links and codes never end up in a log instead of an inbox.
+const getMailTransport = () => {
+    const isProduction = process.env.NODE_ENV === "production";
+    const transportName = process.env.MAIL_TRANSPORT || (isProduction ? null : "console");
+
+    if (!transportName) {
+        throw new Error("MAIL_TRANSPORT must name a registered mail transport in production");
+    }
+    if (isProduction && DEVELOPMENT_TRANSPORTS.includes(transportName)) {
+        throw new Error(`The "${transportName}" mail transport is for development only`);
+    }
+
+    const transport = transports[transportName];
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${transportName}`);
+    }
+    return transport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+    const transport = getMailTransport();
+
+    return await transport.send({
+        from: process.env.MAIL_FROM || "no-reply@localhost",
+        to,
+        subject,
+        text,
+        html,
+    });
+};
+
+export { sendMail, registerMailTransport }
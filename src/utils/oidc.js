@@ -0,0 +1,148 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+// Generic OpenID Connect client (authorization code flow + PKCE).
+// Providers come from OIDC_PROVIDERS, a JSON array such as:
+// [{ "name": "google", "issuer": "https://accounts.google.com", "clientId": "...", "clientSecret": "..." }]
+// Optional per provider: scope, redirectUri, tokenEndpointAuthMethod ("client_secret_basic" | "client_secret_post"),
+// and authorizationEndpoint / tokenEndpoint / jwksUri to skip discovery (handy for a local mock server).
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+const getOidcProviders = () => {
+    if (!process.env.OIDC_PROVIDERS) return [];
+    try {
+        return JSON.parse(process.env.OIDC_PROVIDERS);
+    } catch (error) {
+        console.error("OIDC_PROVIDERS is not valid JSON:", error);
+        return [];
+    }
+};
+
+const getOidcProvider = (name) => {
+    return getOidcProviders().find((provider) => provider.name === name) || null;
+};
+
+const getRedirectUri = (provider) => {
+    return provider.redirectUri || `${process.env.SERVER_URL || ""}/api/v1/users/oidc/${provider.name}/callback`;
+};
+
+const fetchJson = async (url, options) => {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+        const reason = body?.error_description || body?.error || response.statusText;
+        throw new Error(`OIDC request to ${url} failed (${response.status}): ${reason}`);
+    }
+    return body;
+};
+
+// Provider metadata from /.well-known/openid-configuration, with explicit config taking precedence
+const getProviderMetadata = async (provider) => {
+    if (!discoveryCache.has(provider.name)) {
+        const issuer = provider.issuer.replace(/\/$/, "");
+        const needsDiscovery = !provider.authorizationEndpoint || !provider.tokenEndpoint || !provider.jwksUri;
+        const discovered = needsDiscovery
+            ? await fetchJson(`${issuer}/.well-known/openid-configuration`)
+            : {};
+
+        discoveryCache.set(provider.name, {
+            issuer: discovered.issuer || provider.issuer,
+            authorizationEndpoint: provider.authorizationEndpoint || discovered.authorization_endpoint,
+            tokenEndpoint: provider.tokenEndpoint || discovered.token_endpoint,
+            jwksUri: provider.jwksUri || discovered.jwks_uri,
+        });
+    }
+    return discoveryCache.get(provider.name);
+};
+
+const getSigningKey = async (provider, jwksUri, kid) => {
+    const findKey = (keys) => keys?.find((key) => (kid ? key.kid === kid : key.use !== "enc"));
+
+    let key = findKey(jwksCache.get(provider.name));
+    if (!key) {
+        // Unknown kid: the provider may have rotated its keys
+        const jwks = await fetchJson(jwksUri);
+        jwksCache.set(provider.name, jwks.keys);
+        key = findKey(jwks.keys);
+    }
+    if (!key) {
+        throw new Error("No matching signing key found for the ID token");
+    }
+    return crypto.createPublicKey({ key, format: "jwk" });
+};
+
+// Everything the callback needs to finish the flow; keep it somewhere only this browser can read
+const createAuthorizationRequest = async (provider) => {
+    const metadata = await getProviderMetadata(provider);
+
+    const state = base64url(crypto.randomBytes(16));
+    const nonce = base64url(crypto.randomBytes(16));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash("sha256").update(codeVerifier).digest());
+
+    const params = new URLSearchParams({
+        response_type: "code",
+        client_id: provider.clientId,
+        redirect_uri: getRedirectUri(provider),
+        scope: provider.scope || "openid email profile",
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256",
+    });
+
+    return {
+        url: `${metadata.authorizationEndpoint}?${params.toString()}`,
+        state,
+        nonce,
+        codeVerifier,
+    };
+};
+
+// Exchanges the authorization code and returns the verified ID token claims
+const exchangeCodeForClaims = async (provider, { code, codeVerifier, nonce }) => {
+    const metadata = await getProviderMetadata(provider);
+
+    const body = new URLSearchParams({
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: getRedirectUri(provider),
+        code_verifier: codeVerifier,
+    });
+    const headers = { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" };
+
+    if (provider.tokenEndpointAuthMethod === "client_secret_post" || !provider.clientSecret) {
+        body.set("client_id", provider.clientId);
+        if (provider.clientSecret) body.set("client_secret", provider.clientSecret);
+    } else {
+        const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+    }
+
+    const tokens = await fetchJson(metadata.tokenEndpoint, { method: "POST", headers, body });
+
+    if (!tokens?.id_token) {
+        throw new Error("The provider did not return an ID token");
+    }
+
+    const decoded = jwt.decode(tokens.id_token, { complete: true });
+    const signingKey = await getSigningKey(provider, metadata.jwksUri, decoded?.header?.kid);
+
+    const claims = jwt.verify(tokens.id_token, signingKey, {
+        algorithms: ["RS256", "RS384", "RS512", "ES256", "ES384", "ES512", "PS256"],
+        issuer: metadata.issuer,
+        audience: provider.clientId,
+    });
+
+    if (claims.nonce !== nonce) {
+        throw new Error("ID token nonce does not match the login request");
+    }
+
+    return claims;
+};
+
+export { getOidcProviders, getOidcProvider, createAuthorizationRequest, exchangeCodeForClaims }
@@ -0,0 +1,50 @@
+// Roles in increasing order of privilege
+const ROLES = ["user", "creator", "moderator", "admin"];
+
+// Permissions granted to each role (a role also gets everything from the roles below it)
+const ROLE_PERMISSIONS = {
+    user: [],
+    creator: [],
+    moderator: ["content:moderate"],
+    admin: ["users:manage"],
+};
+
+const getRolePermissions = (role) => {
+    const roleIndex = ROLES.indexOf(role);
+    if (roleIndex === -1) return [];
+
+    return ROLES.slice(0, roleIndex + 1).flatMap((inheritedRole) => ROLE_PERMISSIONS[inheritedRole]);
+};
+
+const hasPermission = (user, permission) => {
+    return getRolePermissions(user?.role).includes(permission);
+};
+
+// Scopes a personal access token can be granted. Every route that accepts tokens declares the
+// scope it needs with requireScope (see auth.middleware.js), e.g. deleting a video needs
+// "videos:delete", not just "videos:write".
+const TOKEN_SCOPES = [
+    "videos:read", "videos:upload", "videos:write", "videos:delete",
+    "comments:read", "comments:write", "comments:delete",
+    "tweets:read", "tweets:write", "tweets:delete",
+    "likes:read", "likes:write",
+    "playlists:read", "playlists:write", "playlists:delete",
+    "subscriptions:read", "subscriptions:write",
+    "dashboard:read",
+    "search:read", "search:write",
+];
+
+// API areas whose routes declare scopes; tokens are refused everywhere else,
+// including account management under /api/v1/users
+const TOKEN_ENABLED_PATHS = [
+    "/api/v1/videos",
+    "/api/v1/comments",
+    "/api/v1/tweets",
+    "/api/v1/likes",
+    "/api/v1/playlist",
+    "/api/v1/subscriptions",
+    "/api/v1/dashboard",
+    "/api/v1/search",
+];
+
+export { ROLES, getRolePermissions, hasPermission, TOKEN_SCOPES, TOKEN_ENABLED_PATHS }
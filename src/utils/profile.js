@@ -0,0 +1,88 @@
+// Helpers for the public channel profile (bio, links, country, joined date)
+
+const MAX_BIO_LENGTH = 1000;
+const MAX_PROFILE_LINKS = 5;
+const MAX_LINK_TITLE_LENGTH = 50;
+
+const regionNames = new Intl.DisplayNames(["en"], { type: "region" });
+
+// ISO 3166-1 alpha-2 code -> English name, or null for codes Intl doesn't know
+const getCountryName = (code) => {
+    if (!/^[A-Z]{2}$/.test(code || "")) return null;
+    try {
+        const name = regionNames.of(code);
+        return name && name !== code && name !== "Unknown Region" ? name : null;
+    } catch {
+        return null;
+    }
+};
+
+// Accepts an ISO 3166-1 alpha-2 code in any case; returns it uppercased or null if invalid
+const normalizeCountryCode = (country) => {
+    const code = String(country ?? "").trim().toUpperCase();
+    return getCountryName(code) ? code : null;
+};
+
+// Returns the cleaned-up list of { title, url } links or throws a message describing the problem
+const normalizeProfileLinks = (links) => {
+    if (!Array.isArray(links)) {
+        throw new Error("Links must be an array of { title, url } objects");
+    }
+    if (links.length > MAX_PROFILE_LINKS) {
+        throw new Error(`At most ${MAX_PROFILE_LINKS} links are allowed`);
+    }
+
+    return links.map((link) => {
+        const title = String(link?.title ?? "").trim();
+        const rawUrl = String(link?.url ?? "").trim();
+
+        let url;
+        try {
+            url = new URL(rawUrl);
+        } catch {
+            throw new Error(`Invalid link URL: ${rawUrl || "(empty)"}`);
+        }
+        if (!["http:", "https:"].includes(url.protocol)) {
+            throw new Error(`Links must use http or https: ${rawUrl}`);
+        }
+        if (title.length > MAX_LINK_TITLE_LENGTH) {
+            throw new Error(`Link titles can be at most ${MAX_LINK_TITLE_LENGTH} characters`);
+        }
+
+        return { title: title || url.hostname, url: url.toString() };
+    });
+};
+
+// "Joined Oct 19, 2026"
+const formatJoinedDate = (date) => {
+    if (!date) return null;
+    return `Joined ${new Date(date).toLocaleDateString("en-US", {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+        timeZone: "UTC",
+    })}`;
+};
+
+// $lookup stage for the author of a video, tweet, ... Only public profile fields: aggregate
+// pipelines ignore select: false, and email is private unless the owner's own profile shows it.
+const ownerDetailsLookup = () => ({
+    $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "ownerDetails",
+        pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+    },
+});
+
+export {
+    ownerDetailsLookup,
+    MAX_BIO_LENGTH,
+    MAX_PROFILE_LINKS,
+    MAX_LINK_TITLE_LENGTH,
+    getCountryName,
+    normalizeCountryCode,
+    normalizeProfileLinks,
+    formatJoinedDate,
+}
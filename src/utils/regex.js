@@ -0,0 +1,4 @@
+// Escapes user input for use inside a regular expression
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export { escapeRegex };
@@ -0,0 +1,13 @@
+import crypto from "crypto";
+
+// Random, URL-safe token that is sent to the user (never stored as-is)
+const generateRandomToken = (bytes = 32) => {
+    return crypto.randomBytes(bytes).toString("hex");
+};
+
+// Only the SHA-256 digest of a token is persisted, so a leaked DB can't be replayed
+const hashToken = (token) => {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+export { generateRandomToken, hashToken }
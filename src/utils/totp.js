@@ -0,0 +1,108 @@
+import crypto from "crypto";
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 30 second steps, 6 digits),
+// compatible with Google Authenticator, Authy, 1Password, ...
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error("Invalid base32 character in TOTP secret");
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// 160-bit secret, the size recommended by RFC 4226
+const generateTotpSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+const getTimeStep = (timestamp = Date.now()) => {
+    return Math.floor(timestamp / 1000 / STEP_SECONDS);
+};
+
+const generateHotp = (secret, counter) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counterBuffer).digest();
+
+    // Dynamic truncation (RFC 4226 section 5.3)
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const generateTotp = (secret, timestamp = Date.now()) => {
+    return generateHotp(secret, getTimeStep(timestamp));
+};
+
+// Returns the matched time step (so callers can refuse replays) or null.
+// `window` allows for clock drift of that many steps in either direction.
+const verifyTotp = (secret, token, { window = 1, timestamp = Date.now() } = {}) => {
+    const normalizedToken = String(token || "").replace(/\s/g, "");
+    if (!/^\d{6}$/.test(normalizedToken)) return null;
+
+    const currentStep = getTimeStep(timestamp);
+    for (let drift = -window; drift <= window; drift++) {
+        const step = currentStep + drift;
+        const candidate = generateHotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalizedToken))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+// otpauth:// URI that authenticator apps read from a QR code
+const buildOtpAuthUrl = (secret, accountName, issuer = process.env.TWO_FACTOR_ISSUER || "chai-backend") => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+export { generateTotpSecret, generateTotp, verifyTotp, buildOtpAuthUrl }
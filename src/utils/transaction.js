@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// Standalone MongoDB servers reject transactions ("Transaction numbers are only allowed
+// on a replica set member or mongos"), reported as IllegalOperation (code 20)
+const isTransactionUnsupported = (error) => {
+    return error?.code === 20 || /Transaction numbers are only allowed/i.test(error?.message || "");
+};
+
+// Runs `work(session)` inside a transaction when the deployment supports one. Without
+// replica set support it runs once more with `session` = null, so every step in `work`
+// must be safe to run again (deletes and $pulls are).
+const runInTransaction = async (work) => {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } catch (error) {
+        if (!isTransactionUnsupported(error)) throw error;
+        return await work(null);
+    } finally {
+        await session.endSession();
+    }
+};
+
+export { runInTransaction }
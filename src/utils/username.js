@@ -0,0 +1,52 @@
+// Rules for usernames (channel handles)
+
+const USERNAME_MIN_LENGTH = 3;
+const USERNAME_MAX_LENGTH = 30;
+
+// Lowercase letters, digits, "_" and "."; must start and end with a letter or digit
+const USERNAME_PATTERN = /^[a-z0-9](?:[a-z0-9_.]*[a-z0-9])?$/;
+
+// Handles that would be confusing as channel names or collide with app paths.
+// Extra names can be added with RESERVED_USERNAMES (comma separated).
+const DEFAULT_RESERVED_USERNAMES = [
+    "admin", "administrator", "root", "system", "support", "help", "moderator", "mod",
+    "staff", "official", "security", "api", "www", "mail", "settings", "account",
+    "login", "logout", "register", "signup", "me", "user", "users", "channel", "null",
+    "undefined", "anonymous", "everyone", "chai",
+];
+
+const getReservedUsernames = () => {
+    const extra = (process.env.RESERVED_USERNAMES || "")
+        .split(",")
+        .map((name) => name.trim().toLowerCase())
+        .filter(Boolean);
+    return new Set([...DEFAULT_RESERVED_USERNAMES, ...extra]);
+};
+
+const normalizeUsername = (username) => String(username ?? "").trim().toLowerCase();
+
+// Returns a message describing why `username` is not allowed, or null if it is valid
+const validateUsername = (username) => {
+    const normalized = normalizeUsername(username);
+
+    if (normalized.length < USERNAME_MIN_LENGTH || normalized.length > USERNAME_MAX_LENGTH) {
+        return `Username must be between ${USERNAME_MIN_LENGTH} and ${USERNAME_MAX_LENGTH} characters`;
+    }
+    if (!USERNAME_PATTERN.test(normalized)) {
+        return "Username can only contain letters, numbers, underscores and dots, and must start and end with a letter or number";
+    }
+    if (normalized.includes("..")) {
+        return "Username cannot contain consecutive dots";
+    }
+    if (getReservedUsernames().has(normalized)) {
+        return "This username is reserved";
+    }
+    return null;
+};
+
+export {
+    USERNAME_MIN_LENGTH,
+    USERNAME_MAX_LENGTH,
+    normalizeUsername,
+    validateUsername,
+}
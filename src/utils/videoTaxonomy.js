@@ -0,0 +1,98 @@
+import { ApiError } from "./ApiError.js";
+
+// Tags and the fixed category list for videos
+
+const VIDEO_CATEGORIES = [
+    "autos-vehicles",
+    "comedy",
+    "education",
+    "entertainment",
+    "film-animation",
+    "gaming",
+    "howto-style",
+    "music",
+    "news-politics",
+    "nonprofits-activism",
+    "people-blogs",
+    "pets-animals",
+    "science-technology",
+    "sports",
+    "travel-events",
+];
+
+const MAX_TAGS = 15;
+const MAX_TAG_LENGTH = 30;
+
+// "#Machine  Learning!" -> "machine-learning"
+const normalizeTag = (tag) => {
+    return String(tag ?? "")
+        .normalize("NFKC")
+        .toLowerCase()
+        .trim()
+        .replace(/^#+/, "")
+        .replace(/[\s_]+/g, "-")
+        .replace(/[^\p{L}\p{N}-]/gu, "")
+        .replace(/-{2,}/g, "-")
+        .replace(/^-|-$/g, "")
+        .slice(0, MAX_TAG_LENGTH);
+};
+
+// Accepts an array or a comma separated string (multipart forms send strings).
+// Returns unique, normalized tags; throws if there are too many.
+const normalizeTags = (input) => {
+    const rawTags = Array.isArray(input) ? input : String(input ?? "").split(",");
+    const tags = [...new Set(rawTags.map(normalizeTag).filter(Boolean))];
+
+    if (tags.length > MAX_TAGS) {
+        throw new Error(`A video can have at most ${MAX_TAGS} tags`);
+    }
+    return tags;
+};
+
+const isValidCategory = (category) => VIDEO_CATEGORIES.includes(category);
+
+// Filters for tags (comma separated, all must match), category and duration range (seconds)
+// Throws a 400 ApiError for invalid values
+const buildTaxonomyFilter = ({ tags, category, minDuration, maxDuration }) => {
+    const filter = {};
+
+    if (tags !== undefined) {
+        let normalizedTags;
+        try {
+            normalizedTags = normalizeTags(tags);
+        } catch (error) {
+            throw new ApiError(400, error.message);
+        }
+        if (normalizedTags.length) {
+            filter.tags = { $all: normalizedTags };
+        }
+    }
+
+    if (category !== undefined && category !== "") {
+        if (!isValidCategory(category)) {
+            throw new ApiError(400, `Invalid category. Valid categories: ${VIDEO_CATEGORIES.join(", ")}`);
+        }
+        filter.category = category;
+    }
+
+    if (minDuration !== undefined || maxDuration !== undefined) {
+        const min = minDuration !== undefined ? Number(minDuration) : 0;
+        const max = maxDuration !== undefined ? Number(maxDuration) : Infinity;
+        if (!Number.isFinite(min) || min < 0 || Number.isNaN(max) || max < min) {
+            throw new ApiError(400, "Invalid minDuration or maxDuration");
+        }
+        filter.duration = { $gte: min, ...(Number.isFinite(max) && { $lte: max }) };
+    }
+
+    return filter;
+};
+
+export {
+    VIDEO_CATEGORIES,
+    MAX_TAGS,
+    MAX_TAG_LENGTH,
+    normalizeTag,
+    normalizeTags,
+    isValidCategory,
+    buildTaxonomyFilter,
+}